@@ -0,0 +1,299 @@
+/******************************************************************
+* alias-manager.js
+* Responsible for the editable alias map: local storage,
+* JSON import/export and fuzzy duplicate suggestions.
+******************************************************************/
+import { ALIAS_MAP } from './data-processor.js';
+import { readStorage, writeStorage, removeStorage } from './storage.js';
+
+const STORAGE_KEY = 'aliasMap';
+const REJECTED_KEY = 'aliasRejected';
+
+// minimum score for a pair to be suggested
+const SUGGESTION_THRESHOLD = 0.6;
+
+/**
+* Loads saved alias map, falls back to the defaults.
+* @returns Object mapping alias -> canonical name.
+**/
+export function loadAliasMap() {
+    const saved = readStorage(STORAGE_KEY);
+    return saved && typeof saved === 'object' ? saved : { ...ALIAS_MAP };
+}
+
+/**
+* Saves alias map locally.
+* @param aliasMap Object mapping alias -> canonical name.
+**/
+export function saveAliasMap(aliasMap) {
+    writeStorage(STORAGE_KEY, aliasMap);
+}
+
+/**
+* Drops the saved alias map.
+* @returns Fresh copy of the default map.
+**/
+export function resetAliasMap() {
+    removeStorage(STORAGE_KEY);
+    return { ...ALIAS_MAP };
+}
+
+/**
+* Loads pairs the analyst rejected so they aren't suggested again.
+* @returns Set of sorted 'a|b' keys.
+**/
+export function loadRejectedPairs() {
+    const saved = readStorage(REJECTED_KEY);
+    return new Set(Array.isArray(saved) ? saved : []);
+}
+
+/**
+* Saves rejected pairs locally.
+* @param rejected Set of sorted 'a|b' keys.
+**/
+export function saveRejectedPairs(rejected) {
+    writeStorage(REJECTED_KEY, [...rejected]);
+}
+
+/**
+* Key for a pair of names, order doesn't matter.
+* @param a First name.
+* @param b Second name.
+* @returns Sorted 'a|b' string.
+**/
+export function pairKey(a, b) {
+    return [a, b].sort().join('|');
+}
+
+/**
+* Adds alias to map. anything already pointing at the alias
+* is re-pointed so the map never chains.
+* @param aliasMap Current alias map.
+* @param alias Name to merge away.
+* @param canonical Name it resolves to.
+* @returns New alias map.
+**/
+export function addAlias(aliasMap, alias, canonical) {
+    const target = aliasMap[canonical] || canonical;
+    const next = {};
+    for (const [key, value] of Object.entries(aliasMap)) {
+        if (key === target) continue; // canonical can't be an alias of itself
+        next[key] = value === alias ? target : value;
+    }
+    if (alias !== target) next[alias] = target;
+    return next;
+}
+
+/**
+* Removes alias from map (splits a merge).
+* @param aliasMap Current alias map.
+* @param alias Name to split back out.
+* @returns New alias map.
+**/
+export function removeAlias(aliasMap, alias) {
+    const next = { ...aliasMap };
+    delete next[alias];
+    return next;
+}
+
+/**
+* Parses and validates imported alias JSON.
+* @param text JSON string, object of alias -> canonical.
+* @returns Alias map object.
+**/
+export function parseAliasJson(text) {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Alias file must be a JSON object of "alias": "name" pairs.');
+    }
+    let map = {};
+    for (const [alias, canonical] of Object.entries(parsed)) {
+        if (typeof canonical !== 'string' || !alias.trim() || !canonical.trim()) {
+            throw new Error(`Invalid alias entry for "${alias}".`);
+        }
+        map = addAlias(map, alias.trim(), canonical.trim());
+    }
+    return map;
+}
+
+/**
+* Serializes alias map for export.
+* @param aliasMap Current alias map.
+* @returns Pretty printed JSON string, sorted by alias.
+**/
+export function aliasMapToJson(aliasMap) {
+    const sorted = Object.fromEntries(
+        Object.entries(aliasMap).sort(([a], [b]) => a.localeCompare(b))
+    );
+    return JSON.stringify(sorted, null, 2);
+}
+
+/**
+* Scores how likely two names are the same person.
+* mixes edit distance, surname match and initials.
+* @param a First name.
+* @param b Second name.
+* @returns Object with `score` (0-1) and `reasons` array.
+**/
+export function nameSimilarity(a, b) {
+    const tokensA = tokenize(a);
+    const tokensB = tokenize(b);
+    const reasons = [];
+    if (!tokensA.length || !tokensB.length) return { score: 0, reasons };
+
+    const na = tokensA.join(' ');
+    const nb = tokensB.join(' ');
+    const editSim = 1 - levenshtein(na, nb) / Math.max(na.length, nb.length);
+    let score = editSim * 0.5;
+    if (editSim >= 0.75) reasons.push('spelling');
+
+    // surname (last token)
+    const lastA = tokensA[tokensA.length - 1];
+    const lastB = tokensB[tokensB.length - 1];
+    if (lastA.length > 1 && lastA === lastB) {
+        score += 0.35;
+        reasons.push('surname');
+    } else if (Math.min(lastA.length, lastB.length) >= 4 && levenshtein(lastA, lastB) <= 1) {
+        score += 0.25;
+        reasons.push('similar surname');
+    }
+
+    // initials, every token of the shorter name matches a token or initial of the longer one
+    const [short, long] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+    const hasInitial = short.some(t => t.length === 1);
+    const compatible = short.every(t => long.some(l => l === t || (t.length === 1 && l[0] === t)));
+    if (compatible && hasInitial) {
+        score += 0.15;
+        reasons.push('initials');
+    } else if (compatible && short.length < long.length) {
+        score += 0.2;
+        reasons.push('name part');
+    }
+
+    return { score: Math.min(1, score), reasons };
+}
+
+/**
+* Suggests likely duplicate person names.
+* @param reports Array of parsed reports (raw `persons`).
+* @param aliasMap Current alias map.
+* @param rejected Set of rejected pair keys.
+* @returns Array of {alias, canonical, score, reasons} sorted by score.
+**/
+export function suggestAliases(reports, aliasMap, rejected = new Set()) {
+    // report counts per resolved name, used to pick the canonical side
+    const counts = new Map();
+    for (const report of reports) {
+        for (const person of report.persons) {
+            const resolved = aliasMap[person] || person;
+            counts.set(resolved, (counts.get(resolved) || 0) + 1);
+        }
+    }
+    const names = [...counts.keys()];
+
+    // names mentioned in descriptions that are close to a known surname
+    const mentions = collectTextMentions(reports, names, aliasMap);
+
+    // canonical side is the more complete name, then the one seen in more reports
+    const fullness = name => tokenize(name).filter(t => t.length > 1).length;
+    const rank = name => [fullness(name), counts.get(name) || 0, name.length];
+    const outranks = (a, b) => {
+        const [ra, rb] = [rank(a), rank(b)];
+        const i = ra.findIndex((v, k) => v !== rb[k]);
+        return i !== -1 && ra[i] > rb[i];
+    };
+
+    const suggestions = [];
+    const consider = (a, b, score, reasons) => {
+        if (score < SUGGESTION_THRESHOLD || rejected.has(pairKey(a, b))) return;
+        const [alias, canonical] = outranks(a, b) ? [b, a] : [a, b];
+        suggestions.push({ alias, canonical, score, reasons });
+    };
+
+    for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length; j++) {
+            const { score, reasons } = nameSimilarity(names[i], names[j]);
+            consider(names[i], names[j], score, reasons);
+        }
+    }
+    for (const { mention, name } of mentions) {
+        consider(mention, name, SUGGESTION_THRESHOLD, ['text mention', 'similar surname']);
+    }
+
+    return suggestions.sort((a, b) => b.score - a.score || a.alias.localeCompare(b.alias));
+}
+
+/**
+* Finds capitalized words in descriptions that look like a
+* misspelling of a known surname (e.g. O'alley vs O'Malley).
+* @param reports Array of parsed reports.
+* @param names Known resolved person names.
+* @param aliasMap Current alias map.
+* @returns Array of {mention, name}.
+**/
+function collectTextMentions(reports, names, aliasMap) {
+    const surnames = new Map();
+    const knownTokens = new Set();
+    for (const name of names) {
+        const tokens = name.toLowerCase().split(/\s+/);
+        tokens.forEach(t => knownTokens.add(t));
+        const last = tokens[tokens.length - 1];
+        if (last.length >= 5) surnames.set(last, name);
+    }
+
+    const seen = new Set();
+    const found = [];
+    for (const report of reports) {
+        const words = (report.reportdescription || '').match(/\b[A-Z][A-Za-z']{4,}\b/g) || [];
+        for (const word of words) {
+            const lower = word.toLowerCase();
+            // skip anything that's already part of a known name
+            if (seen.has(lower) || aliasMap[word] || knownTokens.has(lower)) continue;
+            seen.add(lower);
+            for (const [surname, name] of surnames) {
+                if (levenshtein(lower, surname) === 1 && word[0] === surname[0].toUpperCase()) {
+                    found.push({ mention: word, name });
+                    break;
+                }
+            }
+        }
+    }
+    return found;
+}
+
+/**
+* Splits name into comparable lowercase tokens.
+* drops titles and punctuation, keeps apostrophes.
+* @param name Person name.
+* @returns Array of tokens.
+**/
+function tokenize(name) {
+    const titles = new Set(['dr', 'fr', 'mr', 'mrs', 'ms', 'maj', 'gen', 'col', 'sgt']);
+    return name.toLowerCase()
+        .replace(/[^a-z' -]/g, ' ')
+        .split(/[\s-]+/)
+        .filter(t => t && !titles.has(t));
+}
+
+/**
+* Levenshtein edit distance.
+* @param a First string.
+* @param b Second string.
+* @returns Number of edits.
+**/
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(
+                prev[j] + 1,
+                curr[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
@@ -0,0 +1,197 @@
+/******************************************************************
+* annotations.js
+* Responsible for the analyst's notes, tags and stars on reports
+* and network nodes, and case files to move them between machines.
+******************************************************************/
+import { readStorage, writeStorage } from './storage.js';
+
+const STORAGE_KEY = 'annotations';
+const CASE_FILE_TYPE = 'intel-dashboard-case-file';
+const CASE_FILE_VERSION = 1;
+
+/**
+* Loads saved annotations.
+* @returns Object with `reports` and `nodes`, each id -> annotation
+* {note, tags, starred}.
+**/
+export function loadAnnotations() {
+    const saved = readStorage(STORAGE_KEY);
+    return {
+        reports: saved?.reports || {},
+        nodes: saved?.nodes || {},
+    };
+}
+
+/**
+* Saves annotations locally.
+* @param annotations Object from loadAnnotations.
+**/
+export function saveAnnotations(annotations) {
+    writeStorage(STORAGE_KEY, annotations);
+}
+
+/**
+* Annotation of a report or node, blank one if there's none.
+* @param annotations Object from loadAnnotations.
+* @param kind 'reports' or 'nodes'.
+* @param id Report ID or node ID.
+* @returns Object {note, tags, starred}.
+**/
+export function getAnnotation(annotations, kind, id) {
+    return { note: '', tags: [], starred: false, ...annotations[kind][id] };
+}
+
+/**
+* Changes an annotation, blank ones are dropped so storage stays small.
+* @param annotations Object from loadAnnotations, changed in place.
+* @param kind 'reports' or 'nodes'.
+* @param id Report ID or node ID.
+* @param changes Any of {note, tags, starred}.
+* @returns Updated annotation.
+**/
+export function updateAnnotation(annotations, kind, id, changes) {
+    const annotation = { ...getAnnotation(annotations, kind, id), ...changes };
+    annotation.note = annotation.note.trim();
+    annotation.tags = [...new Set(annotation.tags.map(normalizeTag).filter(Boolean))];
+
+    if (!annotation.note && !annotation.tags.length && !annotation.starred) {
+        delete annotations[kind][id];
+    } else {
+        annotations[kind][id] = annotation;
+    }
+    return annotation;
+}
+
+/**
+* Tags are compared lowercase, 'Key Evidence' and 'key evidence' are one.
+* @param tag Tag as typed.
+**/
+export function normalizeTag(tag) {
+    return String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+* Every tag in use, for the filter and tag suggestions.
+* @param annotations Object from loadAnnotations.
+* @returns Sorted array of tags.
+**/
+export function getAllTags(annotations) {
+    const tags = [...Object.values(annotations.reports), ...Object.values(annotations.nodes)].flatMap(a => a.tags);
+    return [...new Set(tags)].sort();
+}
+
+/**
+* Report fields as the dataset loader reads them, so a case file's
+* reports load like any JSON file.
+* @param report Processed report.
+**/
+function caseFileRecord(report) {
+    return {
+        id: report.id,
+        reportdate: report.reportdate || '',
+        referenceid: report.references,
+        reportsource: report.reportsource || '',
+        reportdescription: report.reportdescription || '',
+        persons: report.persons,
+        dates: report.dates || '',
+        places: report.places,
+        organizations: report.organizations,
+    };
+}
+
+/**
+* Bundles the analyst's work for another machine: starred reports in
+* full, every note/tag/star and what's selected in the network.
+* @param annotations Object from loadAnnotations.
+* @param reports Every loaded report.
+* @param selection Object {entity, link, tag} from current filters.
+* @returns Case file JSON string.
+**/
+export function buildCaseFile(annotations, reports, selection) {
+    const starred = reports.filter(r => annotations.reports[r.id]?.starred);
+    return JSON.stringify({
+        type: CASE_FILE_TYPE,
+        version: CASE_FILE_VERSION,
+        created: new Date().toISOString(),
+        annotations,
+        reports: starred.map(caseFileRecord),
+        selection,
+    }, null, 2);
+}
+
+/**
+* Reads and checks a case file.
+* @param text File content.
+* @returns Object with `annotations`, `reports` and `selection`.
+**/
+export function readCaseFile(text) {
+    const caseFile = JSON.parse(text);
+    if (caseFile?.type !== CASE_FILE_TYPE) throw new Error('Not a case file.');
+    if (caseFile.version > CASE_FILE_VERSION) throw new Error(`Case file version ${caseFile.version} is newer than this dashboard.`);
+    return {
+        annotations: {
+            reports: readCaseFileAnnotations(caseFile.annotations?.reports),
+            nodes: readCaseFileAnnotations(caseFile.annotations?.nodes),
+        },
+        reports: Array.isArray(caseFile.reports) ? caseFile.reports.filter(r => typeof r?.id === 'string') : [],
+        selection: readCaseFileSelection(caseFile.selection),
+    };
+}
+
+/**
+* Annotations of one kind from a case file, made from someone else's
+* machine so every field is checked before it's merged and drawn.
+* @param entries Object of id -> annotation, or anything.
+* @returns Object of id -> {note, tags, starred}.
+**/
+function readCaseFileAnnotations(entries) {
+    const annotations = {};
+    if (!entries || typeof entries !== 'object') return annotations;
+    for (const [id, entry] of Object.entries(entries)) {
+        annotations[id] = {
+            note: typeof entry?.note === 'string' ? entry.note : '',
+            tags: Array.isArray(entry?.tags) ? entry.tags.filter(tag => typeof tag === 'string') : [],
+            starred: entry?.starred === true,
+        };
+    }
+    return annotations;
+}
+
+/**
+* Selection from a case file, only well-formed fields are kept.
+* whether the entity or link exists is for the dashboard to check.
+* @param selection Object {entity, link, tag}, or anything.
+* @returns Object {entity, link, tag}, link is {source, target}, missing ones null.
+**/
+function readCaseFileSelection(selection) {
+    const text = value => typeof value === 'string' && value ? value : null;
+    const link = selection?.link;
+    return {
+        entity: text(selection?.entity),
+        link: text(link?.source) && text(link?.target) ? { source: link.source, target: link.target } : null,
+        tag: text(selection?.tag),
+    };
+}
+
+/**
+* Folds imported annotations into the local ones. tags are joined,
+* a star on either side stays and differing notes are both kept.
+* @param annotations Local annotations, changed in place.
+* @param incoming Annotations from a case file.
+* @returns Local annotations.
+**/
+export function mergeAnnotations(annotations, incoming) {
+    for (const kind of ['reports', 'nodes']) {
+        for (const [id, other] of Object.entries(incoming[kind])) {
+            const local = getAnnotation(annotations, kind, id);
+            const note = other.note && !local.note.includes(other.note)
+                ? [local.note, other.note].filter(Boolean).join('\n\n') : local.note;
+            updateAnnotation(annotations, kind, id, {
+                note,
+                tags: [...local.tags, ...(other.tags || [])],
+                starred: local.starred || !!other.starred,
+            });
+        }
+    }
+    return annotations;
+}
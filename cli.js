@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/******************************************************************
+* cli.js
+* Responsible for running the data pipeline headless in Node:
+* reads dataset dumps, writes processed JSON.
+******************************************************************/
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { basename } from 'node:path';
+import { parseRawData, processReports, ALIAS_MAP } from './data-processor.js';
+import { parseAliasJson } from './alias-manager.js';
+import { mergeReports } from './dataset-loader.js';
+
+const USAGE = `Usage: node cli.js [options] <dataset.txt> [more files...]
+
+Options:
+  -a, --aliases <file>  alias map JSON ("alias": "name"), defaults to built-in map
+  -o, --output <file>   where to write processed JSON, defaults to stdout
+  -h, --help            show this message`;
+
+/**
+* Reads arguments, runs the pipeline, writes the result.
+* @returns Exit code.
+**/
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                aliases: { type: 'string', short: 'a' },
+                output: { type: 'string', short: 'o' },
+                help: { type: 'boolean', short: 'h' },
+            },
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const { values, positionals: files } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (files.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const aliasMap = values.aliases ? parseAliasJson(await readFile(values.aliases, 'utf8')) : ALIAS_MAP;
+
+    // parse every file, report all problems before giving up
+    const lists = [];
+    const diagnostics = [];
+    for (const file of files) {
+        lists.push(parseRawData(await readFile(file, 'utf8'), diagnostics, basename(file)));
+    }
+    const reports = mergeReports(lists, diagnostics);
+
+    // notes (partial dates) are only counted, they're all over real data
+    const count = severity => diagnostics.filter(d => d.severity === severity).length;
+    for (const { severity, origin, line, reportId, problem } of diagnostics) {
+        if (severity === 'info') continue;
+        const where = line ? `${origin}:${line}` : origin;
+        console.error(`${where}: ${severity}: ${reportId ? `[${reportId}] ` : ''}${problem}`);
+    }
+    const errorCount = count('error');
+    if (errorCount > 0) {
+        console.error(`${errorCount} parse error${errorCount === 1 ? '' : 's'}, no output written.`);
+        return 1;
+    }
+    if (diagnostics.length) {
+        console.error(`${count('warning')} warning(s), ${count('info')} note(s).`);
+    }
+
+    const data = processReports(reports, aliasMap);
+    const json = JSON.stringify(data, toJsonValue, 2);
+    if (values.output) {
+        await writeFile(values.output, json + '\n');
+        console.error(`Wrote ${data.allReports.length} reports to ${values.output}.`);
+    } else {
+        process.stdout.write(json + '\n');
+    }
+    return 0;
+}
+
+/**
+* JSON.stringify replacer for the Sets and Maps in processed data.
+* @param key Property name.
+* @param value Property value.
+**/
+function toJsonValue(key, value) {
+    if (value instanceof Set) return [...value];
+    if (value instanceof Map) return Object.fromEntries(value);
+    return value;
+}
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        // unreadable file or bad alias JSON
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
@@ -1,472 +1,3583 @@
-/**
-* dashboard.js
-* Responsible for D3 visualization and interactivity.
-* imports processed data, handles filtering and updating logic.
-**/
-import { getProcessedData, ALIAS_MAP } from './data-processor.js';
-
-// raw data and current filter
-let allReports = [];
-let allEntities = {};
-let vizData = {};
-let currentFilters = {
-    entity: null,
-    location: null,
-    timeRange: null,
-};
-let forceSimulation; // to hold d3 simulation
-
-// dom elements
-const networkSvg = d3.select("#network-svg");
-const locationSvg = d3.select("#location-svg");
-const timelineSvg = d3.select("#timeline-svg");
-const reportListEl = document.getElementById("report-list");
-const reportCountEl = document.getElementById("report-count");
-const networkLoadingEl = document.getElementById("network-loading");
-const resetButton = document.getElementById("reset-button");
-
-// chart margins
-const margins = { top: 10, right: 20, bottom: 40, left: 100 };
-const timelineMargins = { top: 10, right: 20, bottom: 20, left: 40 };
-
-/**
-* Main initialization function.
-* Runs when page is loaded.
-**/
-async function initializeDashboard() {
-    try {
-        // fetch processed data
-        const data = await getProcessedData();
-        allReports = data.allReports;
-        allEntities = data.allEntities;
-        vizData = data.vizData;
-
-        // initial draw of components
-        drawNetworkGraph(vizData.network);
-        drawLocationChart(vizData.locationCounts.slice(0,20)); // top 20 for readability
-        drawTimeline(vizData.timelineData);
-        updateDashboard(); // show all reports
-
-        networkLoadingEl.style.display = 'none';
-
-        // event listener for reset button
-        resetButton.addEventListener('click', ()=>{window.location.reload()}); // force reload since resetFilters wouldn't work
-
-    } catch (error) {
-        console.error("Failed to initialize dashboard:", error);
-        networkLoadingEl.innerText = "Failed to load data. Please check dataset.txt and refresh.";
-    }
-}
-
-
-/**
-* Updates dashboard based on currentFilters.
-**/
-function updateDashboard() {
-    let filteredReports = allReports;
-
-    // entity filter
-    if (currentFilters.entity) {
-        filteredReports = filteredReports.filter(r => 
-            r.persons_resolved.includes(currentFilters.entity) || 
-            r.organizations.includes(currentFilters.entity)
-        );
-        
-        // highlight network
-        highlightNetwork(currentFilters.entity);
-    }
-    else {
-        // EXPLICITLY reset opacity if no entity selected
-        networkSvg.selectAll('.node-group').style('opacity', 1);
-        networkSvg.selectAll('.link').style('opacity', 0.6);
-    }
-
-    // location filter
-    if (currentFilters.location) {
-        filteredReports = filteredReports.filter(r => 
-            r.places_clean.includes(currentFilters.location)
-        );
-        
-        // highlight location chart
-        locationSvg.selectAll('.location-bar')
-            .style('opacity', d => d.location === currentFilters.location ? 1 : 0.3);
-    }
-
-    // time filter
-    if (currentFilters.timeRange) {
-        filteredReports = filteredReports.filter(r =>
-            r.date >= currentFilters.timeRange[0] && r.date <= currentFilters.timeRange[1]
-        );
-    }
-
-    // update report list
-    drawReportList(filteredReports);
-}
-
-/**
- * Draws the force-directed network graph.
- * @param networkData Object with {nodes, links} arrays
- */
-function drawNetworkGraph({ nodes, links }) {
-    const container = document.getElementById('network-graph');
-    const width = container.clientWidth;
-    const height = container.clientHeight;
-
-    networkSvg.attr('viewBox', [0, 0, width, height]);
-    // force configuration
-    forceSimulation = d3.forceSimulation(nodes)
-        .force("link", d3.forceLink(links).id(d => d.id).distance(50))
-        .force("charge", d3.forceManyBody().strength(-70))
-        .force("center", d3.forceCenter(width / 2, height / 2).strength(.6))
-
-        // pls stay in the box
-        .force("x", d3.forceX(width / 2).strength(0.1))
-        .force("y", d3.forceY(height / 2).strength(0.1));
-
-    // main group to hold EVERYTHING for zoom
-    const g = networkSvg.append("g")
-        .attr("class", "network-container");
-
-    // draw links
-    const link = g.append("g") 
-        .attr("class", "links")
-        .selectAll("line")
-        .data(links)
-        .join("line")
-        .attr("class", "link");
-    
-    // draw nodes
-    const node = g.append("g")
-        .attr("class", "nodes")
-        .selectAll("g")
-        .data(nodes)
-        .join("g")
-        .attr("class", "node-group")
-        .call(d3.drag()
-            .on("start", dragstarted)
-            .on("drag", dragged)
-            .on("end", dragended));
-    // draw node circle
-    node.append("circle")
-        .attr("r", d => d.type === 'person' ? 8 : 6)
-        .attr("class", d => `node ${d.type}`)
-        .on("click", onNodeClick);
-    // draw label
-    node.append("text")
-        .text(d => d.id)
-        .attr("x", 12)
-        .attr("y", 4)
-        .attr("class", "node-label");
-        
-    node.append("title")
-        .text(d => `${d.type}: ${d.id}`);
-
-    // update positions for drag physics
-    forceSimulation.on("tick", () => {
-        link
-            .attr("x1", d => d.source.x)
-            .attr("y1", d => d.source.y)
-            .attr("x2", d => d.target.x)
-            .attr("y2", d => d.target.y);
-
-        node.attr("transform", d => `translate(${d.x},${d.y})`);
-    
-    // allow zoom behavior
-    function handleZoom(event) {
-        g.attr("transform", event.transform);
-    }
-
-    // create zoom behavior
-    const zoom = d3.zoom()
-        .scaleExtent([.75, 2]) // min & max
-        .on("zoom", handleZoom);
-    
-    // apply zoom behavior to SVG
-    networkSvg.call(zoom);
-
-    // store zoom behavior on element for reset
-    networkSvg.property("__zoom", zoom);
-    });
-
-    // drag handlers
-    function dragstarted(event, d) {
-        if (!event.active) forceSimulation.alphaTarget(0.3).restart();
-        d.fx = d.x;
-        d.fy = d.y;
-    }
-    // fix node to mouse
-    function dragged(event, d) {
-        d.fx = event.x;
-        d.fy = event.y;
-    }
-    // release into physics
-    function dragended(event, d) {
-        if (!event.active) forceSimulation.alphaTarget(0);
-        d.fx = null;
-        d.fy = null;
-    }
-}
-
-/**
-* Handles clicking on network node.
-* @param event Click event.
-* @param d Node data.
-**/
-function onNodeClick(event, d) {
-    currentFilters.entity = (currentFilters.entity === d.id) ? null : d.id;
-    
-    // reset other filters
-    currentFilters.location = null;
-    currentFilters.timeRange = null;
-    d3.select('#timeline-brush').call(d3.brushX().clear);
-    locationSvg.selectAll('.location-bar').style('opacity', 1);
-
-    if (currentFilters.entity) {
-        highlightNetwork(d.id);
-    } else {
-        // reset when deselected
-        networkSvg.selectAll('.node-group').style('opacity', d => neighbors.has(d.id) ? 1 : 0.1);
-        networkSvg.selectAll('.link').style('opacity', 0.6);
-    }
-    
-    updateDashboard();
-}
-
-/**
-* Highlights selected node and neighbors.
-* @param entityId ID of node to highlight.
-**/
-function highlightNetwork(entityId) {
-    const { links } = vizData.network;
-    const neighbors = new Set([entityId]);
-    // find neighbors
-    links.forEach(l => {
-        if (l.source.id === entityId) neighbors.add(l.target.id);
-        if (l.target.id === entityId) neighbors.add(l.source.id);
-    });
-    // apply filter
-    networkSvg.selectAll('.node-group')
-        .style('opacity', d => neighbors.has(d.id) ? 1 : 0.1);
-        
-    networkSvg.selectAll('.link')
-        .style('opacity', d => (d.source.id === entityId || d.target.id === entityId) ? 1 : 0.1);
-}
-
-/**
-* Draws horizontal bar chart for locations.
-* @param locationData Array of {location, count}.
-**/
-function drawLocationChart(locationData) {
-    const container = document.getElementById('location-chart');
-    const width = container.clientWidth;
-    const height = locationData.length * 20; // 20px per bar
-    
-    locationSvg.attr('viewBox', [0, 0, width, height + margins.top + margins.bottom]);
-
-    // y category scale
-    const y = d3.scaleBand()
-        .domain(locationData.map(d => d.location))
-        .range([margins.top, height])
-        .padding(0.1);
-
-    // x numerical scale 
-    const x = d3.scaleLinear()
-        .domain([0, d3.max(locationData, d => d.count)])
-        .range([margins.left, width - margins.right]);
-
-    const g = locationSvg.append("g");
-
-    // draw bars
-    g.selectAll("rect")
-        .data(locationData)
-        .join("rect")
-        .attr("class", "location-bar")
-        .attr("x", x(0))
-        .attr("y", d => y(d.location))
-        .attr("width", d => x(d.count) - x(0))
-        .attr("height", y.bandwidth())
-        .on("click", onLocationClick);
-
-    // draw count labels
-    g.selectAll("text")
-        .data(locationData)
-        .join("text")
-        .attr("class", "location-label")
-        .attr("x", d => x(d.count) + 5)
-        .attr("y", d => y(d.location) + y.bandwidth() / 2)
-        .attr("dy", "0.35em")
-        .text(d => d.count);
-
-    // draw axis with names 
-    locationSvg.append("g")
-        .attr("transform", `translate(${margins.left},0)`)
-        .call(d3.axisLeft(y).tickSize(0).tickPadding(5))
-        .attr("class", "location-axis")
-        .selectAll("text")
-        .style("fill", "#d1d5db");
-}
-
-/**
-* Handles clicking location bar.
-* @param {Event} event - The click event.
-* @param {object} d - The location data.
-**/
-function onLocationClick(event, d) {
-    currentFilters.location = (currentFilters.location === d.location) ? null : d.location;
-
-    // reset filters
-    currentFilters.entity = null;
-    currentFilters.timeRange = null;
-    d3.select('#timeline-brush').call(d3.brushX().clear);
-    networkSvg.selectAll('.node-group').style('opacity', 1);
-    networkSvg.selectAll('.link').style('opacity', 0.6);
-
-    // apply filter
-    if (currentFilters.location) {
-        locationSvg.selectAll('.location-bar')
-            .style('opacity', data => data.location === d.location ? 1 : 0.3);
-    } else {
-        locationSvg.selectAll('.location-bar').style('opacity', 1);
-    }
-
-    updateDashboard();
-}
-
-/**
-* Draws timeline chart with brush.
-* @param timelineData Array of {date, count}.
-**/
-function drawTimeline(timelineData) {
-    const container = document.getElementById('timeline-chart');
-    const width = container.clientWidth;
-    const height = 120; // Fixed height for timeline
-    
-    timelineSvg.attr('viewBox', [0, 0, width, height]);
-
-    // time scale
-    const x = d3.scaleTime()
-        .domain(d3.extent(timelineData, d => d.date))
-        .range([timelineMargins.left, width - timelineMargins.right]);
-
-    const y = d3.scaleLinear()
-        .domain([0, d3.max(timelineData, d => d.count)])
-        .range([height - timelineMargins.bottom, timelineMargins.top]);
-
-    // draw time axis 
-    const xAxis = g => g
-        .attr("transform", `translate(0,${height - timelineMargins.bottom})`)
-        .call(d3.axisBottom(x).ticks(d3.timeYear.every(1)).tickSizeOuter(0))
-        .selectAll("text")
-        .style("fill", "#d1d5db");
-
-    timelineSvg.append("g").call(xAxis);
-
-    // draw bars
-    timelineSvg.append("g")
-        .selectAll("rect")
-        .data(timelineData)
-        .join("rect")
-        .attr("class", "timeline-bar")
-        .attr("x", d => x(d.date))
-        .attr("y", d => y(d.count))
-        .attr("width", 5) // bin width 
-        .attr("height", d => y(0) - y(d.count));
-
-    // define brush
-    const brush = d3.brushX()
-        .extent([[timelineMargins.left, timelineMargins.top], [width - timelineMargins.right, height - timelineMargins.bottom]])
-        .on("end", onTimeBrush);
-
-    // add brush layer
-    timelineSvg.append("g")
-        .attr("class", "timeline-brush")
-        .attr("id", "timeline-brush")
-        .call(brush);
-}
-
-/**
-* Handles end of brush event on timeline.
-* @param event Brush event.
-**/
-function onTimeBrush(event) {
-    if (event.selection) {
-        // convert coords to Dates
-        const [x0, x1] = event.selection;
-        currentFilters.timeRange = [
-            d3.scaleTime().domain(d3.extent(vizData.timelineData, d => d.date)).range([timelineMargins.left, document.getElementById('timeline-chart').clientWidth - timelineMargins.right]).invert(x0),
-            d3.scaleTime().domain(d3.extent(vizData.timelineData, d => d.date)).range([timelineMargins.left, document.getElementById('timeline-chart').clientWidth - timelineMargins.right]).invert(x1)
-        ];
-    } else {
-        currentFilters.timeRange = null;
-    }
-
-    // reset filters
-    currentFilters.entity = null;
-    currentFilters.location = null;
-    networkSvg.selectAll('.node-group').style('opacity', 1);
-    networkSvg.selectAll('.link').style('opacity', 0.6);
-    locationSvg.selectAll('.location-bar').style('opacity', 1);
-
-    updateDashboard();
-}
-
-/**
-* Draws list of reports.
-* @param reports Array of reports to display.
-**/
-function drawReportList(reports) {
-    reportCountEl.innerText = reports.length;
-    reportListEl.innerHTML = ""; // clear existing list
-
-    // regex to find all entities
-    const allEntitiesList = [
-        ...allEntities.persons, 
-        ...allEntities.organizations
-    ];
-    // sort by descending length to match full names before partial
-    allEntitiesList.sort((a, b) => b.length - a.length);
-    const entityRegex = new RegExp(`\\b(${allEntitiesList.join('|')})\\b`, 'g');
-    
-    reports.forEach(report => {
-        // highlight entities in description
-        const highlightedDesc = report.reportdescription.replace(
-            entityRegex,
-            (match) => {
-                // resolve aliases, use match
-                const resolved = ALIAS_MAP[match] || match;
-                return `<span class="clickable" data-entity-id="${resolved}">${match}</span>`;
-            }
-        );
-
-        // html card for each report
-        const card = document.createElement('div');
-        card.className = 'report-card';
-        card.innerHTML = `
-            <div class="report-header">
-                <h3 class="report-id">${report.id}</h3>
-                <span class="report-date">${report.date ? report.date.toLocaleDateString() : 'No Date'}</span>
-            </div>
-            <p class="report-description">${highlightedDesc}</p>
-        `;
-        reportListEl.appendChild(card);
-    });
-    
-    // event listeners for highlights
-    reportListEl.querySelectorAll('.clickable').forEach(el => {
-        el.addEventListener('click', (e) => {
-            const entityId = e.target.dataset.entityId;
-            currentFilters.entity = entityId;
-            // reset filters
-            currentFilters.location = null;
-            currentFilters.timeRange = null;
-            d3.select('#timeline-brush').call(d3.brushX().clear);
-            locationSvg.selectAll('.location-bar').style('opacity', 1);
-            
-            highlightNetwork(entityId);
-            updateDashboard();
-        });
-    });
-}
-
-// start application
-document.addEventListener('DOMContentLoaded', initializeDashboard);
+/**
+* dashboard.js
+* Responsible for D3 visualization and interactivity.
+* imports processed data, handles filtering and updating logic.
+**/
+import {
+    getCitationChain, getEntityAgencies, buildReportIndex, placeKey, getEntityProfile, NETWORK_MODES, nodeCategory
+} from './data-processor.js';
+import {
+    loadAliasMap, saveAliasMap, resetAliasMap, loadRejectedPairs, saveRejectedPairs, pairKey,
+    addAlias, removeAlias, parseAliasJson, aliasMapToJson
+} from './alias-manager.js';
+import { nodeId, findPaths, getEgoNetwork } from './network-analytics.js';
+import { loadMapData, generateMapData, loadPins, savePins } from './geocoder.js';
+import { buildSearchIndex, parseQuery, searchReports, getHighlightTerms } from './search.js';
+import {
+    networkToGraphML, networkToGexf, networkToJson, reportsToCsv, reportsToJson, serializeSvg, svgToPng, downloadFile
+} from './exporter.js';
+import {
+    BUNDLED_SOURCE, REPORT_FIELDS, detectFormat, readRecords, guessColumnMapping, recordsToReports,
+    loadCollections, saveCollections, loadActiveCollection, saveActiveCollection
+} from './dataset-loader.js';
+import {
+    acceptMention, mentionKey, loadMentionDecisions, saveMentionDecisions
+} from './entity-extractor.js';
+import {
+    loadAnnotations, saveAnnotations, getAnnotation, updateAnnotation, normalizeTag, getAllTags,
+    buildCaseFile, readCaseFile, mergeAnnotations
+} from './annotations.js';
+import { encodeViewState, decodeViewState } from './view-state.js';
+import {
+    processDataset, buildNetwork, buildTimelines, rebuildEntities, findAliasSuggestions, startNetworkLayout
+} from './worker-client.js';
+
+// raw data and current filter
+let allReports = [];
+let aliasMap = {}; // alias -> canonical, editable in alias manager
+let rejectedAliases = new Set(); // pair keys analyst said no to
+let allEntities = {};
+let shownReports = []; // filtered list as last drawn, for export
+let datasetSources = [BUNDLED_SOURCE]; // files merged into the current dataset
+let activeCollection = null; // saved collection name, null for bundled dataset
+let diagnostics = []; // parser errors and warnings from last load
+let qualityFilter = ''; // problem code listed in data quality panel, '' for all
+let pendingImports = []; // CSV/JSON files waiting for column mapping
+let mentionDecisions = { accepted: {}, dismissed: {} }; // analyst calls on untagged mentions
+let annotations = { reports: {}, nodes: {} }; // analyst notes, tags and stars
+let vizData = {};
+let currentFilters = {
+    entity: null,
+    location: null, // path in location tree, e.g. ['USA', 'Texas']
+    timeRange: null, // by filing date
+    eventRange: null, // by DATES field
+    citation: null, // report ID, shows its whole citation chain
+    link: null, // {source, target, reportIds} of a clicked edge
+    search: null, // query string from search box
+    tag: null, // analyst tag on a report or one of its entities
+    agency: null, // ID prefix, e.g. 'CIA'
+    source: null, // REPORTSOURCE text, '' for reports without one
+};
+let forceSimulation; // to hold d3 simulation
+let citationSimulation; // citation graph layout, stopped on redraw
+let visibleNetwork = { nodes: [], links: [] }; // what's drawn after pruning
+let egoView = null; // focus mode {focus, depth, expanded, collapsed}, null shows everything
+let hiddenNodes = new Set(); // node ids the analyst hid from the graph
+let pinnedNodes = new Set(); // node ids held in place, fx/fy kept on redraw
+let temporalView = { on: false, mode: 'cumulative', time: null, windowDays: 90, domain: [], timer: null }; // network over time
+let holdViewState = false; // playback and slider frames stay out of history
+let minLinkWeight = 1; // weaker ties get pruned
+let linkOpacity = () => 0.6; // base link opacity, scales with weight
+let locationView = { node: null, shown: 0 }; // tree node listed in chart, bars shown
+let mapGeo = null; // bundled gazetteer and world boundaries
+let mapProjection; // kept for inverting pin clicks
+let placePins = {}; // analyst coordinates for places gazetteer misses
+let pinningPlace = null; // unresolved place waiting for a map click
+let searchIndex = null; // built once after data loads
+let reportIndex = { byEntity: new Map(), byPlace: new Map() }; // report ids per entity and place
+let convergenceRows = { reports: null, rows: [] }; // agency overlap of the reports it was counted on
+let drawnProfile = null; // {id, reportIndex, network, aliasMap} of the profile on screen
+// latest worker request of each kind, older answers are dropped
+const latestRequest = { network: 0, timeline: 0, entities: 0, suggestions: 0 };
+let entityRegex = null; // entity names and aliases in report text, built on first draw
+let searchRegex = null; // search hits marked in report text
+let searchResults = null; // {scores, highlights} for current query
+let connectionPaths = []; // results of connection finder
+let activePathIndex = null; // path highlighted in the graph
+let networkZoom; // zoom behavior, kept for reset
+let timelineBinning = 'month'; // key of TIME_BINS
+let swimlanes = []; // entity ids with a lane under the timeline
+let nodeStyle = { size: 'none', color: 'type' }; // metric driving node size/color
+// NETWORK_MODES key, reports as nodes and how co-occurrence ties are inferred
+let networkView = { mode: 'entities', withReports: false, linkModel: 'report', windowWords: 15 };
+let keyPlayerSort = { key: 'degree', descending: true };
+let convergenceOnly = false; // dim nodes only one agency reports on
+let viewTrail = []; // recent views {filters, query, label}, oldest first
+let currentViewStep = null; // step of the trail on screen
+let viewReady = false; // no history entries until the url view is restored
+let restoringView = false; // applying a view from history, don't push it again
+let listedReports = []; // reports in the list, only cards in view are drawn
+let cardHeights = new Map(); // report id -> measured card height plus gap
+let listFrame = null; // pending animation frame for a list redraw
+
+// node metrics shown in key players table and styling controls
+const NODE_METRICS = [
+    { key: 'degree', label: 'Degree', format: d3.format('d') },
+    { key: 'betweenness', label: 'Betweenness', format: d3.format('.3f') },
+    { key: 'eigenvector', label: 'Eigenvector', format: d3.format('.3f') },
+];
+
+// one row per timeline series, scale and brush kept for inversion/clearing
+const timelineSeries = {
+    filed: { label: 'Filed', filterKey: 'timeRange', x: null, baseX: null, brush: null, brushGroup: null },
+    events: { label: 'Events', filterKey: 'eventRange', x: null, baseX: null, brush: null, brushGroup: null },
+};
+// timeline bar sizes, binned on the local calendar (see binKey)
+const TIME_BINS = {
+    day: { interval: d3.timeDay, format: '%b %d, %Y' },
+    week: { interval: d3.timeMonday, format: 'Week of %b %d, %Y' },
+    month: { interval: d3.timeMonth, format: '%b %Y' },
+};
+const SWIMLANE_HEIGHT = 24; // px per entity lane
+// timeline zoom, extents set per draw
+const timelineZoom = d3.zoom().scaleExtent([1, 200]).on("zoom", positionTimeline);
+const LAG_THRESHOLD_DAYS = 30; // filed this long after events gets flagged
+const LOCATION_PAGE_SIZE = 20; // bars per 'show more' step
+
+// agency colors shared by facets, timeline and network, domain set on load
+const agencyColor = d3.scaleOrdinal(d3.schemeSet2);
+const MULTI_AGENCY_COLOR = '#f9fafb'; // node fill when several agencies report it
+// shape and legend label per node group, colors are in style.css
+const NODE_TYPES = {
+    person: { label: 'People', shape: d3.symbolCircle },
+    organization: { label: 'Organizations', shape: d3.symbolSquare },
+    identifier: { label: 'Phones, flights & addresses', shape: d3.symbolCross },
+    place: { label: 'Places', shape: d3.symbolTriangle },
+    report: { label: 'Reports', shape: d3.symbolDiamond },
+};
+const CONVERGENCE_LIMIT = 50; // rows in cross-agency list
+const VIEW_TRAIL_LENGTH = 8; // steps kept in the breadcrumb trail
+const PLAY_FRAMES = 120; // steps in one run of the time slider
+const PLAY_INTERVAL = 300; // ms between playback steps
+const PROFILE_LIST_LIMIT = 8; // locations and associates in the entity profile
+const LINK_SENTENCE_LIMIT = 3; // sentences in a link's tooltip
+const CARD_HEIGHT_GUESS = 180; // px, for cards not drawn yet
+const CARD_GAP = 16; // px between report cards
+const CARD_OVERSCAN = 5; // cards drawn past each edge of the list
+
+// diagnostic codes from the parser, in data quality filter order
+const QUALITY_PROBLEMS = {
+    'no-id': 'Missing IDs',
+    'stray-text': 'Text outside fields',
+    'duplicate-id': 'Duplicate IDs',
+    'unknown-field': 'Unknown fields',
+    'header-like': 'Malformed headers',
+    'invalid-date': 'Invalid dates',
+    'empty-description': 'Empty descriptions',
+    'person-not-in-text': 'Persons not in text',
+    'event-after-filing': 'Events after filing',
+    'partial-date': 'Partial dates',
+};
+
+// dom elements
+const networkSvg = d3.select("#network-svg");
+const locationSvg = d3.select("#location-svg");
+const timelineSvg = d3.select("#timeline-svg");
+const mapSvg = d3.select("#map-svg");
+const mapUnresolvedEl = document.getElementById("map-unresolved");
+const mapStatusEl = document.getElementById("map-status");
+const citationSvg = d3.select("#citation-svg");
+const citationChainEl = document.getElementById("citation-chain");
+const reportListEl = document.getElementById("report-list");
+const reportWindowEl = document.getElementById("report-window");
+const reportCountEl = document.getElementById("report-count");
+const networkLoadingEl = document.getElementById("network-loading");
+const resetButton = document.getElementById("reset-button");
+const filterChipsEl = document.getElementById("filter-chips");
+const aliasListEl = document.getElementById("alias-list");
+const aliasSuggestionsEl = document.getElementById("alias-suggestions");
+const keyPlayersEl = document.getElementById("key-players");
+const connectionResultsEl = document.getElementById("connection-results");
+const nodeAnnotationEl = document.getElementById("node-annotation");
+const viewTrailEl = document.getElementById("view-trail");
+const entityProfileEl = document.getElementById("entity-profile");
+
+// chart margins
+const margins = { top: 10, right: 20, bottom: 40, left: 100 };
+const timelineMargins = { top: 10, right: 20, bottom: 20, left: 40 };
+
+/**
+* Main initialization function.
+* Runs when page is loaded.
+**/
+async function initializeDashboard() {
+    try {
+        // analyst's alias map and mention calls apply to any dataset
+        aliasMap = loadAliasMap();
+        rejectedAliases = loadRejectedPairs();
+        mentionDecisions = loadMentionDecisions();
+        annotations = loadAnnotations();
+
+        // reopen last collection, bundled dataset.txt otherwise
+        const collections = loadCollections();
+        activeCollection = loadActiveCollection();
+        if (!collections[activeCollection]) activeCollection = null;
+        datasetSources = activeCollection ? collections[activeCollection] : [BUNDLED_SOURCE];
+        await loadDataset();
+
+        networkLoadingEl.style.display = 'none';
+
+        // event listener for reset button
+        resetButton.addEventListener('click', resetFilters);
+        initAliasControls();
+        initNetworkStyleControls();
+        initNetworkViewControls();
+        initLinkWeightControl();
+        initConnectionFinder();
+        initLocationControls();
+        initTimelineControls();
+        initSearchControls();
+        initReportListControls();
+        initExportControls();
+        initDatasetControls();
+        initAnnotationControls();
+        initFocusControls();
+        initTemporalControls();
+        initEntityProfile();
+        initMap(); // own error handling, dashboard works without it
+        initViewHistory(); // last, restores the view in the url
+
+    } catch (error) {
+        console.error("Failed to initialize dashboard:", error);
+        networkLoadingEl.innerText = "Failed to load data. Please check dataset.txt and refresh.";
+    }
+}
+
+/**
+* Reads and merges every source of the current dataset, then redraws.
+* first report wins on duplicate IDs.
+**/
+async function loadDataset() {
+    // parsing and metrics run in the worker, page stays responsive
+    const result = await processDataset(datasetSources, aliasMap, mentionDecisions, { network: networkView, binning: timelineBinning });
+    diagnostics = result.diagnostics;
+
+    showDataset(result.data);
+    drawDatasetPanel();
+    drawDataQuality();
+}
+
+/**
+* Swaps in processed data and redraws every panel, no reload.
+* filters are cleared, they may point at reports that are gone.
+* @param data Object from processReports, accepted mentions already tagged.
+**/
+function showDataset(data) {
+    allReports = data.allReports;
+    allEntities = data.allEntities;
+    vizData = data.vizData;
+    indexReports();
+    cardHeights = new Map();
+
+    // busiest agency gets the first color
+    const agencyCounts = d3.rollup(allReports, v => v.length, r => r.agency);
+    agencyColor.domain([...agencyCounts.keys()].sort((a, b) => agencyCounts.get(b) - agencyCounts.get(a) || d3.ascending(a, b)));
+
+    // weights start over with the new data
+    const slider = document.getElementById("link-weight-slider");
+    slider.max = d3.max(vizData.network.links, l => l.weight) || 1;
+    slider.value = minLinkWeight = 1;
+    document.getElementById("link-weight-value").innerText = minLinkWeight;
+    resetTemporalView();
+    redrawNetwork();
+    drawNetworkLegend();
+    swimlanes = swimlanes.filter(id => reportIndex.byEntity.has(id));
+    drawSwimlaneChips();
+    drawTimeline(vizData.timelineData, vizData.eventTimelineData);
+    timelineSvg.call(timelineZoom.transform, d3.zoomIdentity);
+    drawCitationGraph(vizData.citations);
+    drawKeyPlayers();
+    updateEntityOptions();
+    drawAliasManager();
+    if (mapGeo) drawMap();
+    resetFilters(); // also draws location chart and report list
+}
+
+
+/**
+* Clears every filter, the brush and the zoom in place.
+* no refetch and no new force layout.
+**/
+function resetFilters() {
+    currentFilters.entity = null;
+    currentFilters.location = null;
+    currentFilters.timeRange = null;
+    currentFilters.eventRange = null;
+    showLocationLevel(vizData.locationTree);
+    currentFilters.citation = null;
+    currentFilters.link = null;
+    currentFilters.tag = null;
+    currentFilters.agency = null;
+    currentFilters.source = null;
+    clearSearch();
+    clearConnectionPaths();
+    clearTimeBrush('filed');
+    clearTimeBrush('events');
+
+    // back to identity zoom
+    if (networkZoom) {
+        networkSvg.transition().duration(500).call(networkZoom.transform, d3.zoomIdentity);
+    }
+
+    updateDashboard();
+}
+
+/**
+* Updates dashboard based on currentFilters.
+* filters stack, report has to match all of them.
+**/
+function updateDashboard() {
+    let filteredReports = allReports;
+
+    // time slider follows the filed brush however it moved
+    if (temporalView.on && syncTemporalView()) redrawNetwork();
+
+    // entity filter
+    if (currentFilters.entity) {
+        const ids = reportIndex.byEntity.get(currentFilters.entity) || new Set();
+        filteredReports = filteredReports.filter(r => ids.has(r.id));
+
+        // highlight network
+        highlightNetwork(currentFilters.entity);
+    }
+    else if (activePathIndex !== null) {
+        // connection finder path stays lit until cleared
+        highlightPath(connectionPaths[activePathIndex]);
+    }
+    else {
+        // EXPLICITLY reset opacity if no entity selected
+        networkSvg.selectAll('.node-group').style('opacity', 1);
+        networkSvg.selectAll('.link').style('opacity', linkOpacity);
+    }
+    d3.select(keyPlayersEl).selectAll('tbody tr')
+        .classed('selected', d => d.id === currentFilters.entity);
+
+    // location filter, any level of the tree
+    if (currentFilters.location) {
+        const ids = reportIndex.byPlace.get(placeKey(currentFilters.location)) || new Set();
+        filteredReports = filteredReports.filter(r => ids.has(r.id));
+    }
+    highlightLocationSelection();
+
+    // time filter
+    if (currentFilters.timeRange) {
+        filteredReports = filteredReports.filter(r =>
+            r.date >= currentFilters.timeRange[0] && r.date <= currentFilters.timeRange[1]
+        );
+    }
+
+    // event time filter, any event in range counts
+    if (currentFilters.eventRange) {
+        const [start, end] = currentFilters.eventRange;
+        filteredReports = filteredReports.filter(r =>
+            r.event_dates.some(d => d >= start && d <= end)
+        );
+    }
+
+    // citation filter, report plus everything up and down its chain
+    if (currentFilters.citation) {
+        const { cites, citedBy } = getCitationChain(allReports, currentFilters.citation);
+        const chain = new Set([currentFilters.citation, ...cites, ...citedBy]);
+        filteredReports = filteredReports.filter(r => chain.has(r.id));
+    }
+    highlightCitations(currentFilters.citation);
+
+    // edge filter, exactly the reports behind the tie
+    if (currentFilters.link) {
+        const ids = new Set(currentFilters.link.reportIds);
+        filteredReports = filteredReports.filter(r => ids.has(r.id));
+    }
+    networkSvg.selectAll('.link')
+        .classed('selected', d => isSelectedLink(d));
+
+    // tag filter, tagged report or a tagged entity in it
+    if (currentFilters.tag) {
+        const ids = getTaggedReports(currentFilters.tag);
+        filteredReports = filteredReports.filter(r => ids.has(r.id));
+    }
+
+    // search filter, best matches first
+    if (currentFilters.search && searchResults) {
+        const { scores } = searchResults;
+        filteredReports = filteredReports
+            .filter(r => scores.has(r.id))
+            .sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    }
+
+    // agency and source facets, each counted without its own pick
+    const beforeFacets = filteredReports;
+    if (currentFilters.agency) {
+        filteredReports = filteredReports.filter(r => r.agency === currentFilters.agency);
+    }
+    if (currentFilters.source !== null) {
+        filteredReports = filteredReports.filter(r => r.reportsource === currentFilters.source);
+    }
+    drawFacets(beforeFacets);
+
+    // update chips and report list
+    shownReports = filteredReports;
+    drawFilterChips();
+    drawTagOptions();
+    drawNodeAnnotation();
+    drawEntityProfile();
+    highlightSwimlanes();
+    drawReportList(filteredReports);
+    recordViewState();
+}
+
+/**
+* Draws removable chip for each active filter.
+**/
+function drawFilterChips() {
+    d3.select(filterChipsEl)
+        .selectAll(".filter-chip")
+        .data(describeFilters(), d => d.key)
+        .join(enter => {
+            const chip = enter.append("span").attr("class", "filter-chip");
+            chip.append("span").attr("class", "filter-chip-label");
+            chip.append("button")
+                .attr("class", "filter-chip-remove")
+                .attr("title", "Remove filter")
+                .text("\u00d7")
+                .on("click", (event, d) => removeFilter(d.key));
+            return chip;
+        })
+        .select(".filter-chip-label")
+        .text(d => d.label);
+}
+
+/**
+* Labels for the active filters, for chips and the view trail.
+* @returns Array of {key, label}.
+**/
+function describeFilters() {
+    const formatDate = d => d.toLocaleDateString();
+    const chips = [];
+    if (currentFilters.entity) {
+        chips.push({ key: 'entity', label: `Entity: ${currentFilters.entity}` });
+    }
+    if (currentFilters.location) {
+        chips.push({ key: 'location', label: `Location: ${formatLocationPath(currentFilters.location)}` });
+    }
+    if (currentFilters.timeRange) {
+        const [start, end] = currentFilters.timeRange;
+        chips.push({ key: 'timeRange', label: `Filed: ${formatDate(start)} - ${formatDate(end)}` });
+    }
+    if (currentFilters.eventRange) {
+        const [start, end] = currentFilters.eventRange;
+        chips.push({ key: 'eventRange', label: `Events: ${formatDate(start)} - ${formatDate(end)}` });
+    }
+    if (currentFilters.citation) {
+        chips.push({ key: 'citation', label: `Citation chain: ${currentFilters.citation}` });
+    }
+    if (currentFilters.link) {
+        const { source, target, reportIds } = currentFilters.link;
+        chips.push({ key: 'link', label: `Link: ${source} \u2013 ${target} (${reportIds.length})` });
+    }
+    if (currentFilters.search) {
+        chips.push({ key: 'search', label: `Search: ${currentFilters.search}` });
+    }
+    if (currentFilters.tag) {
+        chips.push({ key: 'tag', label: `Tag: ${currentFilters.tag}` });
+    }
+    if (currentFilters.agency) {
+        chips.push({ key: 'agency', label: `Agency: ${currentFilters.agency}` });
+    }
+    if (currentFilters.source !== null) {
+        chips.push({ key: 'source', label: `Source: ${currentFilters.source || 'none given'}` });
+    }
+    return chips;
+}
+
+/**
+* Removes a single filter, leaves the others in place.
+* @param key Key in currentFilters.
+**/
+function removeFilter(key) {
+    currentFilters[key] = null;
+    if (key === 'search') clearSearch();
+    if (key === 'timeRange') clearTimeBrush('filed');
+    if (key === 'eventRange') clearTimeBrush('events');
+    updateDashboard();
+}
+
+/**
+* Drops links under the minimum weight, and nodes left without
+* any tie once pruning is on.
+* @param network Object with {nodes, links} arrays.
+* @returns Object with pruned {nodes, links} arrays.
+**/
+function pruneNetwork({ nodes, links }) {
+    if (minLinkWeight <= 1) return { nodes, links };
+    const keptLinks = links.filter(l => l.weight >= minLinkWeight);
+    const connected = new Set(keptLinks.flatMap(l => [nodeId(l.source), nodeId(l.target)]));
+    return { nodes: nodes.filter(n => connected.has(n.id)), links: keptLinks };
+}
+
+/**
+* Draws the network the controls leave: weight pruning, time slider,
+* hidden nodes and focus mode. layout runs on what's drawn only.
+**/
+function redrawNetwork() {
+    const network = pruneNetwork(vizData.network);
+    // focus gone after pruning or an alias change, back to everything
+    if (egoView && !network.nodes.some(n => n.id === egoView.focus && !hiddenNodes.has(n.id))) egoView = null;
+
+    const shown = temporalView.on ? getNetworkAt(network) : network;
+
+    if (egoView) {
+        drawNetworkGraph(getEgoNetwork(shown, egoView.focus, egoView.depth, { ...egoView, hidden: hiddenNodes }));
+    } else {
+        drawNetworkGraph({
+            nodes: shown.nodes.filter(n => !hiddenNodes.has(n.id)),
+            links: shown.links.filter(l => !hiddenNodes.has(nodeId(l.source)) && !hiddenNodes.has(nodeId(l.target))),
+        });
+    }
+    drawFocusControls();
+}
+
+/**
+ * Draws the force-directed network graph.
+ * @param networkData Object with {nodes, links} arrays
+ */
+function drawNetworkGraph({ nodes, links }) {
+    // stepping through time, what wasn't on screen fades in
+    const before = { nodes: new Set(visibleNetwork.nodes), links: new Set(visibleNetwork.links) };
+    const isNew = (shown, d) => temporalView.on && !shown.has(d);
+    visibleNetwork = { nodes, links };
+
+    const container = document.getElementById('network-graph');
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+
+    // redraw: keep positions of nodes that survive, drop old svg
+    if (forceSimulation) {
+        const oldPositions = new Map(forceSimulation.nodes().map(n => [n.id, n]));
+        nodes.forEach(n => {
+            const old = oldPositions.get(n.id);
+            if (old) Object.assign(n, { x: old.x, y: old.y });
+            // pinned ones hold their spot, the rest move freely
+            const pinned = pinnedNodes.has(n.id);
+            Object.assign(n, { fx: pinned ? n.fx ?? n.x : null, fy: pinned ? n.fy ?? n.y : null });
+        });
+        // newcomers start next to a placed neighbor, not in the middle
+        const byId = new Map(nodes.map(n => [n.id, n]));
+        for (const l of links) {
+            const [a, b] = [byId.get(nodeId(l.source)), byId.get(nodeId(l.target))];
+            const [placed, fresh] = a.x === undefined ? [b, a] : [a, b];
+            if (placed.x === undefined || fresh.x !== undefined) continue;
+            Object.assign(fresh, { x: placed.x + Math.random() * 20 - 10, y: placed.y + Math.random() * 20 - 10 });
+        }
+        forceSimulation.stop();
+        networkSvg.selectAll("*").remove();
+    }
+
+    networkSvg.attr('viewBox', [0, 0, width, height]);
+    // force layout runs in the worker, positions come back every tick
+    // frames over time only settle newcomers, the rest stays put
+    forceSimulation = startNetworkLayout(nodes, links, width, height, temporalView.on);
+    if (temporalView.on) forceSimulation.alpha(0.3);
+
+    // main group to hold EVERYTHING for zoom
+    const g = networkSvg.append("g")
+        .attr("class", "network-container")
+        .attr("transform", d3.zoomTransform(networkSvg.node()));
+
+    // thickness and opacity scale with number of supporting reports
+    const maxWeight = d3.max(vizData.network.links, l => l.weight) || 1;
+    const linkWidth = d3.scaleSqrt().domain([1, maxWeight]).range([1, 6]);
+    const opacity = d3.scaleLinear().domain([1, maxWeight]).range([0.35, 0.9]);
+    linkOpacity = d => opacity(d.weight);
+
+    // draw links
+    const linkGroup = g.append("g") 
+        .attr("class", "links");
+    const link = linkGroup.selectAll("line.link")
+        .data(links)
+        .join("line")
+        .attr("class", "link")
+        .classed("fade-in", d => isNew(before.links, d))
+        .attr("stroke-width", d => linkWidth(d.weight))
+        .style("opacity", linkOpacity);
+
+    // wider invisible lines on top so thin edges are clickable
+    const linkHit = linkGroup.selectAll("line.link-hit")
+        .data(links)
+        .join("line")
+        .attr("class", "link-hit")
+        .on("click", onLinkClick);
+    linkHit.append("title")
+        .text(d => `${nodeId(d.source)} \u2013 ${nodeId(d.target)}: ${d.weight} report${d.weight === 1 ? '' : 's'}\n${d.reportIds.join(', ')}` +
+            (d.via ? `\nShared: ${d.via.join(', ')}` : '') +
+            (d.sentences || []).slice(0, LINK_SENTENCE_LIMIT).map(s => `\n\n${s.reportId}: ${s.text}`).join(''));
+    
+    // draw nodes
+    const node = g.append("g")
+        .attr("class", "nodes")
+        .selectAll("g")
+        .data(nodes)
+        .join("g")
+        .attr("class", "node-group")
+        .classed("pinned", d => pinnedNodes.has(d.id))
+        .classed("ego-focus", d => egoView?.focus === d.id)
+        .classed("fade-in", d => isNew(before.nodes, d))
+        .call(d3.drag()
+            .on("start", dragstarted)
+            .on("drag", dragged)
+            .on("end", dragended));
+    // draw node shape, one per type
+    node.append("path")
+        .attr("d", d => nodeShape(d, d.type === 'person' ? 8 : 6))
+        .attr("class", d => `node ${d.type}`)
+        .on("click", onNodeClick);
+    // draw label
+    node.append("text")
+        .text(d => d.id)
+        .attr("x", 12)
+        .attr("y", 4)
+        .attr("class", "node-label");
+        
+    node.append("title")
+        .text(d => `${d.type}: ${d.id}\n` +
+            NODE_METRICS.map(m => `${m.label}: ${m.format(d[m.key])}`).join('\n') +
+            `\nCommunity: ${d.community + 1}` +
+            `\nReported by: ${d.agencies.join(', ') || 'none'}`);
+
+    styleNetworkNodes();
+    markAnnotatedNodes();
+
+    // update positions for drag physics
+    forceSimulation.on("tick", () => {
+        link.merge(linkHit)
+            .attr("x1", d => d.source.x)
+            .attr("y1", d => d.source.y)
+            .attr("x2", d => d.target.x)
+            .attr("y2", d => d.target.y);
+
+        node.attr("transform", d => `translate(${d.x},${d.y})`);
+    });
+
+    // allow zoom behavior
+    function handleZoom(event) {
+        g.attr("transform", event.transform);
+    }
+
+    // create zoom behavior, kept in module for reset
+    networkZoom = d3.zoom()
+        .scaleExtent([.75, 2]) // min & max
+        .on("zoom", handleZoom)
+        .on("end", recordViewState); // zoom goes in the url, not in history
+    
+    // apply zoom behavior to SVG
+    networkSvg.call(networkZoom);
+
+    // drag handlers
+    function dragstarted(event, d) {
+        if (!event.active) forceSimulation.alphaTarget(0.3).restart();
+        d.fx = d.x;
+        d.fy = d.y;
+        forceSimulation.fix(d);
+    }
+    // fix node to mouse
+    function dragged(event, d) {
+        d.fx = event.x;
+        d.fy = event.y;
+        forceSimulation.fix(d);
+    }
+    // release into physics, pinned nodes stay where dropped
+    function dragended(event, d) {
+        if (!event.active) forceSimulation.alphaTarget(0);
+        if (pinnedNodes.has(d.id)) return;
+        d.fx = null;
+        d.fy = null;
+        forceSimulation.fix(d);
+    }
+}
+
+/**
+* Sizes and colors nodes by the metrics picked in the controls.
+**/
+function styleNetworkNodes() {
+    const { nodes } = vizData.network;
+
+    // size, default is by type
+    let radius = d => d.type === 'person' ? 8 : 6;
+    if (nodeStyle.size !== 'none') {
+        const r = d3.scaleSqrt()
+            .domain([0, d3.max(nodes, d => d[nodeStyle.size]) || 1])
+            .range([4, 20]);
+        radius = d => r(d[nodeStyle.size]);
+    }
+
+    // color, null falls back to css type colors
+    let fill = () => null;
+    if (nodeStyle.color === 'community') {
+        const color = d3.scaleOrdinal(d3.schemeTableau10);
+        fill = d => color(d.community);
+    } else if (nodeStyle.color === 'agency') {
+        fill = d => d.agencies.length === 1 ? agencyColor(d.agencies[0]) : MULTI_AGENCY_COLOR;
+    } else if (nodeStyle.color !== 'type') {
+        const color = d3.scaleSequential(d3.interpolateYlOrRd)
+            .domain([0, d3.max(nodes, d => d[nodeStyle.color]) || 1]);
+        fill = d => color(d[nodeStyle.color]);
+    }
+
+    networkSvg.selectAll('.node-group .node')
+        .attr('d', d => nodeShape(d, radius(d)))
+        .style('fill', fill);
+    networkSvg.selectAll('.node-group .node-label')
+        .attr('x', d => radius(d) + 4);
+
+    // ring split by reporting agency, only where there's more than one
+    const arc = d3.arc();
+    const pie = d3.pie().value(1).sort(null);
+    networkSvg.selectAll('.node-group')
+        .classed('single-agency', d => convergenceOnly && d.agencies.length < 2)
+        .selectAll('.agency-ring')
+        .data(d => nodeStyle.color === 'agency' && d.agencies.length > 1
+            ? pie(d.agencies).map(slice => ({ ...slice, innerRadius: radius(d) + 1, outerRadius: radius(d) + 4 }))
+            : [])
+        .join('path')
+        .attr('class', 'agency-ring')
+        .attr('d', arc)
+        .style('fill', slice => agencyColor(slice.data));
+}
+
+/**
+* Symbol path for a node, same area as a circle of the radius.
+* @param d Node data.
+* @param radius Radius in px.
+**/
+function nodeShape(d, radius) {
+    return d3.symbol(NODE_TYPES[nodeCategory(d.type)].shape, Math.PI * radius * radius)();
+}
+
+/**
+* Hooks up the network view picker, the reports-as-nodes toggle
+* and the link model.
+**/
+function initNetworkViewControls() {
+    const modeSelect = document.getElementById("network-mode");
+    const reportsToggle = document.getElementById("report-nodes");
+    const modelSelect = document.getElementById("link-model");
+    const windowInput = document.getElementById("link-window");
+    d3.select(modeSelect)
+        .selectAll("option")
+        .data(Object.entries(NETWORK_MODES))
+        .join("option")
+        .attr("value", ([key]) => key)
+        .text(([, mode]) => mode.label);
+    modeSelect.value = networkView.mode;
+
+    modeSelect.addEventListener('change', () => setNetworkView({ mode: modeSelect.value }));
+    reportsToggle.addEventListener('change', () => setNetworkView({ withReports: reportsToggle.checked }));
+    modelSelect.addEventListener('change', () => setNetworkView({ linkModel: modelSelect.value }));
+    windowInput.addEventListener('change', () => {
+        windowInput.value = Math.max(1, Math.round(+windowInput.value) || 1);
+        setNetworkView({ windowWords: +windowInput.value });
+    });
+}
+
+/**
+* Switches the network to another view and redraws what hangs off it.
+* @param changes Any of {mode, withReports, linkModel, windowWords}.
+**/
+function setNetworkView(changes) {
+    Object.assign(networkView, changes);
+    // projections tie nodes through others, reports can't sit in between.
+    // link model only applies where entities tie to each other
+    const { via } = NETWORK_MODES[networkView.mode];
+    const cooccurrence = !via && !networkView.withReports;
+    document.getElementById("report-nodes").disabled = !!via;
+    document.getElementById("link-model").disabled = !cooccurrence;
+    document.getElementById("link-window").disabled = !cooccurrence || networkView.linkModel !== 'window';
+    rebuildNetworkView();
+}
+
+/**
+* Builds the network of the current view in the worker and redraws.
+* built again if entities or the dataset changed while it was on the way.
+**/
+async function rebuildNetworkView() {
+    const request = ++latestRequest.network;
+    const reports = allReports;
+    const network = await buildNetwork(reports, allEntities, { ...networkView, aliasMap });
+    if (request !== latestRequest.network) return;
+    if (reports !== allReports) {
+        rebuildNetworkView();
+        return;
+    }
+    vizData.network = network;
+    refreshNetwork();
+    updateDashboard();
+}
+
+/**
+* Shape and color key for the node types in the network.
+**/
+function drawNetworkLegend() {
+    const counts = d3.rollup(vizData.network.nodes, v => v.length, d => nodeCategory(d.type));
+    const items = Object.keys(NODE_TYPES).filter(key => counts.has(key));
+    document.getElementById("network-legend").innerHTML = items.map(key => `
+        <span class="legend-item">
+            <svg class="legend-shape" viewBox="-8 -8 16 16"><path class="node ${key}" d="${nodeShape({ type: key }, 5)}"></path></svg>
+            ${NODE_TYPES[key].label} (${counts.get(key)})
+        </span>`).join('');
+}
+
+/**
+* Hooks up size/color metric pickers.
+**/
+function initNetworkStyleControls() {
+    const sizeSelect = document.getElementById("node-size-select");
+    const colorSelect = document.getElementById("node-color-select");
+    sizeSelect.addEventListener('change', () => {
+        nodeStyle.size = sizeSelect.value;
+        styleNetworkNodes();
+    });
+    colorSelect.addEventListener('change', () => {
+        nodeStyle.color = colorSelect.value;
+        styleNetworkNodes();
+    });
+    document.getElementById("convergence-only").addEventListener('change', (e) => {
+        convergenceOnly = e.target.checked;
+        styleNetworkNodes();
+    });
+}
+
+/**
+* Draws sortable key players table from node metrics.
+**/
+function drawKeyPlayers() {
+    const columns = [
+        { key: 'id', label: 'Name', format: d => d },
+        { key: 'type', label: 'Type', format: d => d },
+        ...NODE_METRICS,
+        { key: 'community', label: 'Community', format: d => d + 1 },
+    ];
+
+    // header, click to sort (again to flip)
+    const table = d3.select(keyPlayersEl);
+    table.select("thead tr")
+        .selectAll("th")
+        .data(columns)
+        .join("th")
+        .attr("class", d => d.key === keyPlayerSort.key ? `sorted ${keyPlayerSort.descending ? 'desc' : 'asc'}` : null)
+        .text(d => d.label)
+        .on("click", (event, d) => {
+            keyPlayerSort = {
+                key: d.key,
+                // text columns start a-z, numbers start high
+                descending: d.key === keyPlayerSort.key ? !keyPlayerSort.descending : typeof vizData.network.nodes[0]?.[d.key] === 'number',
+            };
+            drawKeyPlayers();
+        });
+
+    const { key, descending } = keyPlayerSort;
+    const rows = [...vizData.network.nodes].sort((a, b) =>
+        (descending ? d3.descending : d3.ascending)(a[key], b[key]) || d3.ascending(a.id, b.id)
+    );
+
+    table.select("tbody")
+        .selectAll("tr")
+        .data(rows, d => d.id)
+        .join("tr")
+        .classed("selected", d => d.id === currentFilters.entity)
+        .on("click", onNodeClick)
+        .selectAll("td")
+        .data(d => columns.map(c => c.format(d[c.key])))
+        .join("td")
+        .text(d => d);
+
+    // keep dom order in sync with sort
+    table.select("tbody").selectAll("tr").order();
+}
+
+/**
+* Handles clicking on network edge, filters to its reports.
+* @param event Click event.
+* @param d Link data.
+**/
+function onLinkClick(event, d) {
+    currentFilters.link = isSelectedLink(d) ? null : {
+        source: d.source.id,
+        target: d.target.id,
+        reportIds: d.reportIds,
+    };
+    updateDashboard();
+}
+
+/**
+* Checks if link is the one in the edge filter.
+* @param d Link data.
+**/
+function isSelectedLink(d) {
+    const selected = currentFilters.link;
+    if (!selected) return false;
+    const ends = [nodeId(d.source), nodeId(d.target)];
+    return ends.includes(selected.source) && ends.includes(selected.target);
+}
+
+/**
+* Hooks up minimum link weight slider.
+**/
+function initLinkWeightControl() {
+    const slider = document.getElementById("link-weight-slider");
+    const valueEl = document.getElementById("link-weight-value");
+    slider.max = d3.max(vizData.network.links, l => l.weight) || 1;
+    slider.addEventListener('input', () => {
+        minLinkWeight = +slider.value;
+        valueEl.innerText = minLinkWeight;
+        redrawNetwork();
+        clearConnectionPaths(); // paths may use pruned links
+        updateDashboard();
+    });
+}
+
+/**
+* Handles clicking on network node.
+* @param event Click event.
+* @param d Node data.
+**/
+function onNodeClick(event, d) {
+    currentFilters.entity = (currentFilters.entity === d.id) ? null : d.id;
+    updateDashboard();
+}
+
+/**
+* Highlights selected node and neighbors.
+* @param entityId ID of node to highlight.
+**/
+function highlightNetwork(entityId) {
+    const { links } = visibleNetwork;
+    const neighbors = new Set([entityId]);
+    // find neighbors
+    links.forEach(l => {
+        if (l.source.id === entityId) neighbors.add(l.target.id);
+        if (l.target.id === entityId) neighbors.add(l.source.id);
+    });
+    // apply filter
+    networkSvg.selectAll('.node-group')
+        .style('opacity', d => neighbors.has(d.id) ? 1 : 0.1);
+        
+    networkSvg.selectAll('.link')
+        .style('opacity', d => (d.source.id === entityId || d.target.id === entityId) ? 1 : 0.1);
+}
+
+/**
+* Dims everything but the nodes and links of one path.
+* @param path Object with {nodes, hops}.
+**/
+function highlightPath(path) {
+    const onPath = new Set(path.nodes);
+    const hopKeys = new Set(path.hops.map(h => [h.source, h.target].sort().join('|')));
+    const isHop = d => hopKeys.has([nodeId(d.source), nodeId(d.target)].sort().join('|'));
+
+    networkSvg.selectAll('.node-group')
+        .style('opacity', d => onPath.has(d.id) ? 1 : 0.1);
+    networkSvg.selectAll('.link')
+        .classed('path', isHop)
+        .style('opacity', d => isHop(d) ? 1 : 0.1);
+}
+
+/**
+* Hooks up entity pickers and find/clear buttons of connection finder.
+**/
+function initConnectionFinder() {
+    const fromInput = document.getElementById("connection-from");
+    const toInput = document.getElementById("connection-to");
+    const countSelect = document.getElementById("connection-count");
+    updateEntityOptions();
+
+    document.getElementById("connection-form").addEventListener('submit', (e) => {
+        e.preventDefault();
+        const from = aliasMap[fromInput.value.trim()] || fromInput.value.trim();
+        const to = aliasMap[toInput.value.trim()] || toInput.value.trim();
+        connectionPaths = findPaths(visibleNetwork, from, to, +countSelect.value);
+        activePathIndex = connectionPaths.length ? 0 : null;
+        drawConnectionResults(from, to);
+        updateDashboard();
+    });
+
+    document.getElementById("connection-clear").addEventListener('click', () => {
+        clearConnectionPaths();
+        updateDashboard();
+    });
+}
+
+/**
+* Fills the entity datalist used by pickers.
+**/
+function updateEntityOptions() {
+    const names = vizData.network.nodes.map(n => n.id).sort();
+    d3.select("#entity-options")
+        .selectAll("option")
+        .data(names)
+        .join("option")
+        .attr("value", d => d);
+}
+
+/**
+* Lists found paths with the reports behind each hop.
+* @param from Start entity.
+* @param to End entity.
+**/
+function drawConnectionResults(from, to) {
+    if (!from || !to) {
+        connectionResultsEl.innerHTML = '';
+        return;
+    }
+    if (connectionPaths.length === 0) {
+        connectionResultsEl.innerHTML = `<p class="text-gray-400">No connection between ${escapeHtml(from)} and ${escapeHtml(to)} in the visible network.</p>`;
+        return;
+    }
+
+    connectionResultsEl.innerHTML = connectionPaths.map((path, i) => `
+        <div class="connection-path${i === activePathIndex ? ' active' : ''}" data-path-index="${i}">
+            <div class="connection-path-title">Path ${i + 1} &middot; ${path.hops.length} hop${path.hops.length === 1 ? '' : 's'}</div>
+            <ol class="connection-hops">
+                ${path.hops.map((hop, h) => `
+                    <li>
+                        ${escapeHtml(hop.source)} &ndash; ${escapeHtml(hop.target)}
+                        <span class="connection-hop-reports" data-path-index="${i}" data-hop-index="${h}">${escapeHtml(hop.reportIds.join(', '))}</span>
+                    </li>`).join('')}
+            </ol>
+        </div>
+    `).join('');
+
+    // pick a path to highlight
+    connectionResultsEl.querySelectorAll('.connection-path').forEach(el => {
+        el.addEventListener('click', () => {
+            activePathIndex = +el.dataset.pathIndex;
+            connectionResultsEl.querySelectorAll('.connection-path')
+                .forEach(p => p.classList.toggle('active', p === el));
+            updateDashboard();
+        });
+    });
+
+    // reports behind one hop, same as clicking that link
+    connectionResultsEl.querySelectorAll('.connection-hop-reports').forEach(el => {
+        el.addEventListener('click', () => {
+            const hop = connectionPaths[+el.dataset.pathIndex].hops[+el.dataset.hopIndex];
+            currentFilters.link = { ...hop };
+            // click bubbles to the path handler above, which redraws
+        });
+    });
+}
+
+/**
+* Drops connection finder results and path highlight.
+**/
+function clearConnectionPaths() {
+    connectionPaths = [];
+    activePathIndex = null;
+    networkSvg.selectAll('.link').classed('path', false);
+    connectionResultsEl.innerHTML = '';
+}
+
+/**
+* Filters to a location tree path. the chart lists the level of
+* the pick, or its parent for a city.
+* @param path Array of [country, region, city], any length, null clears.
+**/
+function setLocationFilter(path) {
+    const node = path && findLocationNode(path);
+    currentFilters.location = node ? path : null;
+    if (!node) showLocationLevel(vizData.locationTree);
+    else showLocationLevel(node.level === 'city' ? findLocationNode(path.slice(0, -1)) : node);
+}
+
+/**
+* Lists children of a location tree node in the chart.
+* levels with only a blank child are skipped.
+* @param node Location tree node.
+**/
+function showLocationLevel(node) {
+    while (node.level !== 'city' && node.children.length === 1 && node.children[0].name === '') {
+        node = node.children[0];
+    }
+    locationView = { node, shown: LOCATION_PAGE_SIZE };
+    drawLocationChart();
+    drawLocationBreadcrumb();
+}
+
+/**
+* Draws horizontal bar chart for locations.
+* bars are the children of locationView.node, paged.
+**/
+function drawLocationChart() {
+    const container = document.getElementById('location-chart');
+    const width = container.clientWidth;
+    const { node, shown } = locationView;
+    const locationData = node.children.slice(0, shown);
+    const height = locationData.length * 20; // 20px per bar
+    
+    locationSvg.selectAll("*").remove();
+    locationSvg.attr('viewBox', [0, 0, width, height + margins.top + margins.bottom]);
+
+    // y category scale
+    const y = d3.scaleBand()
+        .domain(locationData.map(d => d.name))
+        .range([margins.top, height])
+        .padding(0.1);
+
+    // x numerical scale 
+    const x = d3.scaleLinear()
+        .domain([0, d3.max(locationData, d => d.count) || 1])
+        .range([margins.left, width - margins.right]);
+
+    const g = locationSvg.append("g");
+
+    // draw bars
+    g.selectAll("rect")
+        .data(locationData)
+        .join("rect")
+        .attr("class", "location-bar")
+        .attr("x", x(0))
+        .attr("y", d => y(d.name))
+        .attr("width", d => x(d.count) - x(0))
+        .attr("height", y.bandwidth())
+        .on("click", onLocationClick)
+        .append("title")
+        .text(d => `${formatLocationPath(d.path)}: ${d.count} report${d.count === 1 ? '' : 's'}`);
+
+    // draw count labels
+    g.selectAll("text")
+        .data(locationData)
+        .join("text")
+        .attr("class", "location-label")
+        .attr("x", d => x(d.count) + 5)
+        .attr("y", d => y(d.name) + y.bandwidth() / 2)
+        .attr("dy", "0.35em")
+        .text(d => d.count);
+
+    // draw axis with names 
+    locationSvg.append("g")
+        .attr("transform", `translate(${margins.left},0)`)
+        .call(d3.axisLeft(y).tickSize(0).tickPadding(5).tickFormat(name => name || '(unspecified)'))
+        .attr("class", "location-axis")
+        .selectAll("text")
+        .style("fill", "#d1d5db");
+
+    // paging controls
+    const remaining = node.children.length - locationData.length;
+    const moreButton = document.getElementById("location-more");
+    moreButton.innerText = `Show more (${remaining})`;
+    moreButton.classList.toggle('hidden', remaining <= 0);
+    document.getElementById("location-less").classList.toggle('hidden', shown <= LOCATION_PAGE_SIZE);
+
+    // keep selection highlight after redraw
+    highlightLocationSelection();
+}
+
+/**
+* Dims bars and map markers outside the location filter.
+* anything inside or above the selection stays lit.
+**/
+function highlightLocationSelection() {
+    const selected = currentFilters.location;
+    const related = path => !selected || path.every((name, i) => i >= selected.length || selected[i] === name);
+    locationSvg.selectAll('.location-bar')
+        .style('opacity', d => related(d.path) ? 1 : 0.3);
+    mapSvg.selectAll('.map-marker')
+        .style('opacity', d => related(d.path) ? 1 : 0.2);
+}
+
+/**
+* Finds location tree node for a path.
+* @param path Array of [country, region, city].
+* @returns Tree node or null.
+**/
+function findLocationNode(path) {
+    let node = vizData.locationTree;
+    for (const name of path) {
+        node = node.children.find(c => c.name === name);
+        if (!node) return null;
+    }
+    return node;
+}
+
+/**
+* Loads offline map data and draws map panel.
+**/
+async function initMap() {
+    try {
+        placePins = loadPins();
+        mapGeo = await loadMapData();
+        drawMap();
+    } catch (error) {
+        console.error("Failed to load map data:", error);
+        mapStatusEl.textContent = "Map unavailable: could not load gazetteer.json or world-countries.json.";
+    }
+
+    // click on empty map drops the pending pin
+    mapSvg.on("click", (event) => {
+        if (!pinningPlace || !mapProjection) return;
+        const [x, y] = d3.pointer(event, mapSvg.select(".map-container").node());
+        const coords = mapProjection.invert([x, y]);
+        if (!coords) return;
+        placePins = { ...placePins, [pinningPlace.key]: coords.map(c => Math.round(c * 100) / 100) };
+        savePins(placePins);
+        pinningPlace = null;
+        drawMap();
+    });
+}
+
+/**
+* Draws world map with a marker per geocoded place.
+**/
+function drawMap() {
+    const container = document.getElementById('map-chart');
+    const width = container.clientWidth;
+    const height = 320;
+    const { markers, unresolved } = generateMapData(allReports, mapGeo.gazetteer, placePins);
+
+    mapSvg.selectAll("*").remove();
+    mapSvg.attr('viewBox', [0, 0, width, height])
+        .classed('pinning', !!pinningPlace);
+    mapProjection = d3.geoNaturalEarth1().fitSize([width, height], mapGeo.world);
+    const path = d3.geoPath(mapProjection);
+
+    const g = mapSvg.append("g").attr("class", "map-container");
+    g.append("g")
+        .selectAll("path")
+        .data(mapGeo.world.features)
+        .join("path")
+        .attr("class", "map-country")
+        .attr("d", path)
+        .append("title")
+        .text(d => d.properties.name);
+
+    // size by report count
+    const radius = d3.scaleSqrt()
+        .domain([1, d3.max(markers, d => d.count) || 1])
+        .range([3, 14]);
+
+    const marker = g.append("g")
+        .selectAll("circle")
+        .data(markers, d => d.key)
+        .join("circle")
+        .attr("class", d => `map-marker ${d.precision}`)
+        .attr("cx", d => mapProjection(d.coords)[0])
+        .attr("cy", d => mapProjection(d.coords)[1])
+        .attr("r", d => radius(d.count))
+        .on("click", (event, d) => {
+            if (pinningPlace) return; // let the click place the pin
+            event.stopPropagation();
+            const node = findLocationNode(d.path);
+            if (node) onLocationClick(event, node);
+        });
+    marker.append("title")
+        .text(d => `${d.name}: ${d.count} report${d.count === 1 ? '' : 's'}${d.precision === 'pinned' ? ' (pinned)' : ''}`);
+
+    // zoom, markers keep their size
+    mapSvg.call(d3.zoom()
+        .scaleExtent([1, 12])
+        .on("zoom", (event) => {
+            g.attr("transform", event.transform);
+            marker.attr("r", d => radius(d.count) / event.transform.k);
+        }));
+
+    mapStatusEl.textContent = pinningPlace
+        ? `Click the map to place ${pinningPlace.name}.`
+        : `${markers.length} places mapped, ${unresolved.length} need coordinates.`;
+    drawUnresolvedPlaces(unresolved);
+    highlightLocationSelection();
+}
+
+/**
+* Lists places gazetteer couldn't resolve, plus pinned ones.
+* @param unresolved Array of unresolved places from generateMapData.
+**/
+function drawUnresolvedPlaces(unresolved) {
+    const pinned = Object.keys(placePins).map(key => ({ key, name: key.split('/').filter(Boolean).join(', ') }));
+
+    mapUnresolvedEl.innerHTML = `
+        <h3 class="font-semibold text-white mb-2">Needs Coordinates (${unresolved.length})</h3>
+        <ul class="space-y-1 mb-4">
+            ${unresolved.map((p, i) => `
+                <li class="map-place${pinningPlace?.key === p.key ? ' active' : ''}">
+                    <span>${escapeHtml(p.name)} <span class="text-gray-500">(${p.count})</span></span>
+                    <button class="alias-action" data-unresolved-index="${i}">${pinningPlace?.key === p.key ? 'Cancel' : 'Pin'}</button>
+                </li>`).join('')}
+        </ul>
+        ${pinned.length ? `
+            <h3 class="font-semibold text-white mb-2">Pinned (${pinned.length})</h3>
+            <ul class="space-y-1">
+                ${pinned.map(p => `
+                    <li class="map-place">
+                        <span>${escapeHtml(p.name)}</span>
+                        <button class="alias-action" data-pin-key="${escapeHtml(p.key)}">Unpin</button>
+                    </li>`).join('')}
+            </ul>` : ''}
+    `;
+
+    mapUnresolvedEl.querySelectorAll('[data-unresolved-index]').forEach(el => {
+        el.addEventListener('click', () => {
+            const place = unresolved[+el.dataset.unresolvedIndex];
+            pinningPlace = pinningPlace?.key === place.key ? null : place;
+            drawMap();
+        });
+    });
+    mapUnresolvedEl.querySelectorAll('[data-pin-key]').forEach(el => {
+        el.addEventListener('click', () => {
+            const { [el.dataset.pinKey]: removed, ...rest } = placePins;
+            placePins = rest;
+            savePins(placePins);
+            drawMap();
+        });
+    });
+}
+
+/**
+* Draws 'All > Country > Region' trail to climb back up the tree.
+**/
+function drawLocationBreadcrumb() {
+    // ancestors of the listed node, blank levels hidden
+    const trail = [vizData.locationTree];
+    for (const name of locationView.node.path) {
+        trail.push(trail[trail.length - 1].children.find(c => c.name === name));
+    }
+
+    d3.select("#location-breadcrumb")
+        .selectAll(".location-crumb")
+        .data(trail.filter(n => n.level === 'all' || n.name !== ''), d => d.path.join('/'))
+        .join("button")
+        .attr("class", "location-crumb")
+        .text(d => d.name)
+        .on("click", (event, d) => {
+            // climbing up filters at that level, 'All' clears it
+            currentFilters.location = d.path.length ? d.path : null;
+            showLocationLevel(d);
+            updateDashboard();
+        });
+}
+
+/**
+* Bins both timelines in the worker and redraws them.
+* binned again if the dataset changed while it was on the way.
+**/
+async function rebinTimeline() {
+    const request = ++latestRequest.timeline;
+    const reports = allReports;
+    const { timelineData, eventTimelineData } = await buildTimelines(reports, timelineBinning);
+    if (request !== latestRequest.timeline) return;
+    if (reports !== allReports) {
+        rebinTimeline();
+        return;
+    }
+    Object.assign(vizData, { timelineData, eventTimelineData });
+    drawTimeline(timelineData, eventTimelineData);
+}
+
+/**
+* Hooks up timeline binning, zoom reset and swimlane picker.
+**/
+function initTimelineControls() {
+    const input = document.getElementById("swimlane-input");
+    document.getElementById("timeline-binning").addEventListener('change', (e) => {
+        timelineBinning = e.target.value;
+        rebinTimeline();
+    });
+    document.getElementById("timeline-reset").addEventListener('click', () => {
+        timelineSvg.call(timelineZoom.transform, d3.zoomIdentity);
+    });
+
+    document.getElementById("swimlane-form").addEventListener('submit', (e) => {
+        e.preventDefault();
+        const id = aliasMap[input.value.trim()] || input.value.trim();
+        const statusEl = document.getElementById("swimlane-status");
+        if (!reportIndex.byEntity.has(id)) {
+            statusEl.textContent = id ? `No reports name ${id}.` : '';
+            return;
+        }
+        statusEl.textContent = '';
+        input.value = '';
+        if (!swimlanes.includes(id)) swimlanes = [...swimlanes, id];
+        drawSwimlaneChips();
+        drawTimeline(vizData.timelineData, vizData.eventTimelineData);
+    });
+}
+
+/**
+* Draws a removable chip per swimlane.
+**/
+function drawSwimlaneChips() {
+    d3.select("#swimlane-chips")
+        .selectAll(".filter-chip")
+        .data(swimlanes, d => d)
+        .join(enter => {
+            const chip = enter.append("span").attr("class", "filter-chip");
+            chip.append("span").text(d => d);
+            chip.append("button")
+                .attr("class", "filter-chip-remove")
+                .attr("title", "Remove lane")
+                .text("\u00d7")
+                .on("click", (event, d) => {
+                    swimlanes = swimlanes.filter(id => id !== d);
+                    drawSwimlaneChips();
+                    drawTimeline(vizData.timelineData, vizData.eventTimelineData);
+                });
+            return chip;
+        });
+}
+
+/**
+* Hooks up show more/less buttons of location chart.
+**/
+function initLocationControls() {
+    document.getElementById("location-more").addEventListener('click', () => {
+        locationView.shown += LOCATION_PAGE_SIZE;
+        drawLocationChart();
+    });
+    document.getElementById("location-less").addEventListener('click', () => {
+        locationView.shown = LOCATION_PAGE_SIZE;
+        drawLocationChart();
+    });
+}
+
+/**
+* Handles clicking location bar.
+* filters on it and drills down a level, clicking the
+* selected city again drops back to its parent.
+* @param {Event} event - The click event.
+* @param {object} d - The location tree node.
+**/
+function onLocationClick(event, d) {
+    const selected = currentFilters.location;
+    if (d.level === 'city' && selected && selected.join('/') === d.path.join('/')) {
+        // back to the listed level, minus any blank region
+        const parent = locationView.node.path.filter((name, i, path) => name || i < path.length - 1);
+        currentFilters.location = parent.length ? parent : null;
+    } else {
+        currentFilters.location = d.path;
+    }
+
+    if (d.level !== 'city') showLocationLevel(d);
+    updateDashboard();
+}
+
+/**
+* Readable label for a location tree path.
+* @param path Array of [country, region, city].
+**/
+function formatLocationPath(path) {
+    return path.filter(Boolean).join(' \u203a ') || '(unspecified)';
+}
+
+/**
+* Draws timeline chart, one brushable row for filing dates
+* and one for event dates, then a swimlane per picked entity.
+* @param timelineData Array of {date, count} by report date.
+* @param eventTimelineData Array of {date, count} by event date.
+**/
+function drawTimeline(timelineData, eventTimelineData) {
+    const container = document.getElementById('timeline-chart');
+    const width = container.clientWidth;
+    const rowHeight = 90; // fixed height per row
+    const lanesHeight = swimlanes.length ? swimlanes.length * SWIMLANE_HEIGHT + timelineMargins.bottom : 0;
+    const height = rowHeight * 2 + lanesHeight;
+
+    timelineSvg.selectAll("*").remove();
+    timelineSvg.attr('viewBox', [0, 0, width, height]);
+
+    // bars and marks stay inside the plot when zoomed
+    timelineSvg.append("clipPath")
+        .attr("id", "timeline-clip")
+        .append("rect")
+        .attr("x", timelineMargins.left)
+        .attr("width", width - timelineMargins.left - timelineMargins.right)
+        .attr("height", height);
+
+    drawTimelineRow('filed', timelineData, 0, width, rowHeight);
+    drawTimelineRow('events', eventTimelineData, rowHeight, width, rowHeight);
+    drawSwimlanes(rowHeight * 2, width);
+
+    // wheel zooms, dragging outside the brushes pans, rows and lanes move together
+    const plot = [[timelineMargins.left, 0], [width - timelineMargins.right, height]];
+    timelineZoom.extent(plot).translateExtent(plot);
+    timelineSvg.call(timelineZoom);
+    positionTimeline();
+}
+
+/**
+* Draws single timeline row with its own scale and brush.
+* bars, axis and brush get placed by positionTimeline.
+* @param key Key in timelineSeries.
+* @param data Array of {date, count}.
+* @param top Y offset of the row.
+* @param width Chart width.
+* @param height Row height.
+**/
+function drawTimelineRow(key, data, top, width, height) {
+    const series = timelineSeries[key];
+    const row = timelineSvg.append("g")
+        .attr("class", `timeline-row timeline-row-${key}`)
+        .attr("transform", `translate(0,${top})`);
+
+    // nothing dated, nothing to brush
+    if (data.length === 0) {
+        series.brush = null;
+        series.baseX = null;
+        row.append("text")
+            .attr("class", "timeline-label")
+            .attr("x", 4)
+            .attr("y", timelineMargins.top + 8)
+            .text(`${series.label}: no dates in this dataset`);
+        return;
+    }
+
+    // time scale before zoom, last bin gets its full width
+    const [first, last] = d3.extent(data, d => d.date);
+    series.baseX = d3.scaleTime()
+        .domain([first, TIME_BINS[timelineBinning].interval.offset(last, 1)])
+        .range([timelineMargins.left, width - timelineMargins.right]);
+
+    const y = d3.scaleLinear()
+        .domain([0, d3.max(data, d => d.count)])
+        .range([height - timelineMargins.bottom, timelineMargins.top]);
+
+    // time axis
+    row.append("g")
+        .attr("class", "timeline-axis")
+        .attr("transform", `translate(0,${height - timelineMargins.bottom})`);
+
+    // row label
+    row.append("text")
+        .attr("class", "timeline-label")
+        .attr("x", 4)
+        .attr("y", timelineMargins.top + 8)
+        .text(series.label);
+
+    // draw bars, stacked by agency
+    const formatBin = d3.timeFormat(TIME_BINS[timelineBinning].format);
+    const stacked = d3.stack()
+        .keys(agencyColor.domain())
+        .value((d, agency) => d.agencies[agency] || 0)(data);
+    row.append("g")
+        .attr("clip-path", "url(#timeline-clip)")
+        .selectAll("g")
+        .data(stacked)
+        .join("g")
+        .selectAll("rect")
+        .data(layer => layer.filter(segment => segment[1] > segment[0]).map(segment => Object.assign(segment, { agency: layer.key })))
+        .join("rect")
+        .attr("class", `timeline-bar timeline-bar-${key}`)
+        .attr("y", d => y(d[1]))
+        .attr("height", d => y(d[0]) - y(d[1]))
+        .style("fill", d => agencyColor(d.agency))
+        .append("title")
+        .text(d => `${formatBin(d.data.date)}: ${d.agency} ${d[1] - d[0]} of ${d.data.count}`);
+
+    // define brush
+    series.brush = d3.brushX()
+        .extent([[timelineMargins.left, timelineMargins.top], [width - timelineMargins.right, height - timelineMargins.bottom]])
+        .on("end", event => onTimeBrush(event, key));
+
+    // add brush layer
+    series.brushGroup = row.append("g")
+        .attr("class", "timeline-brush")
+        .attr("id", key === 'filed' ? "timeline-brush" : "event-timeline-brush")
+        .call(series.brush);
+}
+
+/**
+* Draws a row per picked entity with a mark on the filing date
+* of each report naming it, on the filed row's time scale.
+* click a mark to open its report.
+* @param top Y offset of the first lane.
+* @param width Chart width.
+**/
+function drawSwimlanes(top, width) {
+    const formatDate = d3.timeFormat('%b %d, %Y');
+    const lane = timelineSvg.append("g")
+        .attr("class", "swimlanes")
+        .attr("transform", `translate(0,${top})`)
+        .selectAll("g")
+        .data(swimlanes)
+        .join("g")
+        .attr("class", "swimlane")
+        .attr("transform", (d, i) => `translate(0,${i * SWIMLANE_HEIGHT})`);
+
+    lane.append("line")
+        .attr("class", "swimlane-line")
+        .attr("x1", timelineMargins.left)
+        .attr("x2", width - timelineMargins.right)
+        .attr("y1", SWIMLANE_HEIGHT - 6)
+        .attr("y2", SWIMLANE_HEIGHT - 6);
+    lane.append("text")
+        .attr("class", "timeline-label")
+        .attr("x", 4)
+        .attr("y", 9)
+        .text(d => d);
+
+    lane.append("g")
+        .attr("clip-path", "url(#timeline-clip)")
+        .selectAll("circle")
+        .data(id => allReports.filter(r => r.date && reportIndex.byEntity.get(id)?.has(r.id)))
+        .join("circle")
+        .attr("class", "swimlane-mark")
+        .attr("cy", SWIMLANE_HEIGHT - 6)
+        .attr("r", 4)
+        .style("fill", d => agencyColor(d.agency))
+        .on("click", (event, d) => jumpToReport(d.id))
+        .append("title")
+        .text(d => `${d.id}, filed ${formatDate(d.date)}`);
+    highlightSwimlanes();
+}
+
+/**
+* Fades lane marks of reports the filters leave out.
+**/
+function highlightSwimlanes() {
+    const shown = new Set(shownReports.map(r => r.id));
+    timelineSvg.selectAll(".swimlane-mark")
+        .classed("filtered-out", d => !shown.has(d.id));
+}
+
+/**
+* Places bars, axes, brushes and lane marks for the current zoom.
+**/
+function positionTimeline() {
+    const transform = d3.zoomTransform(timelineSvg.node());
+    for (const [key, series] of Object.entries(timelineSeries)) {
+        if (!series.baseX) continue;
+        const x = series.x = transform.rescaleX(series.baseX);
+        const row = timelineSvg.select(`.timeline-row-${key}`);
+        const [left, right] = x.range();
+        row.select(".timeline-axis")
+            .call(d3.axisBottom(x).ticks((right - left) / 80).tickSizeOuter(0))
+            .selectAll("text")
+            .style("fill", "#d1d5db");
+        row.selectAll(".timeline-bar")
+            .attr("x", d => x(d.data.date))
+            .attr("width", d => Math.max(1, x(TIME_BINS[timelineBinning].interval.offset(d.data.date, 1)) - x(d.data.date) - 1));
+        setTimeBrush(key, currentFilters[series.filterKey]);
+    }
+
+    const x = timelineSeries.filed.baseX && timelineSeries.filed.x;
+    timelineSvg.selectAll(".swimlane-mark")
+        .attr("cx", d => x ? x(d.date) : -10);
+}
+
+/**
+* Handles end of brush event on timeline.
+* @param event Brush event.
+* @param key Key in timelineSeries that was brushed.
+**/
+function onTimeBrush(event, key) {
+    // ignore programmatic moves, caller already set the filter
+    if (!event.sourceEvent) return;
+
+    const { x, filterKey } = timelineSeries[key];
+    if (event.selection) {
+        // convert coords to Dates
+        const [x0, x1] = event.selection;
+        currentFilters[filterKey] = [x.invert(x0), x.invert(x1)];
+    } else {
+        currentFilters[filterKey] = null;
+    }
+
+    updateDashboard();
+}
+
+/**
+* Moves a brush to a date range without firing a filter change.
+* @param key Key in timelineSeries.
+* @param range Array of two Dates, null clears the brush.
+**/
+function setTimeBrush(key, range) {
+    const { brush, brushGroup, x } = timelineSeries[key];
+    if (!brush) return;
+    // zoomed in, only the part in view shows. the filter stays either way
+    const [left, right] = x.range();
+    const selection = range && range.map(d => Math.max(left, Math.min(right, x(d))));
+    brushGroup.call(brush.move, selection && selection[1] > selection[0] ? selection : null);
+}
+
+/**
+* Removes brush selection without firing a filter change.
+* @param key Key in timelineSeries.
+**/
+function clearTimeBrush(key) {
+    const { brush, brushGroup } = timelineSeries[key];
+    if (brush) {
+        brushGroup.call(brush.move, null);
+    }
+}
+
+/**
+* Lists reports, only the cards in view get drawn (see drawVisibleReports).
+* @param reports Array of reports to display.
+**/
+function drawReportList(reports) {
+    reportCountEl.innerText = reports.length;
+    listedReports = reports;
+
+    // search words and phrases, any punctuation between phrase words
+    const searchTerms = searchResults ? searchResults.highlights : [];
+    searchRegex = searchTerms.length ? new RegExp(
+        `\\b(${searchTerms.map(tokens => tokens.map(escapeRegex).join('\\W+')).join('|')})(?!\\w)`,
+        'gi'
+    ) : null;
+
+    // fresh cards, highlights and notes may have changed
+    reportWindowEl.innerHTML = "";
+    reportListEl.scrollTop = 0;
+    drawVisibleReports();
+}
+
+/**
+* Draws the cards in and near the scrolled window of the list,
+* padding stands in for the rest. heights are measured as cards
+* get drawn, a guess until then.
+**/
+function drawVisibleReports() {
+    const heightOf = report => cardHeights.get(report.id) ?? CARD_HEIGHT_GUESS;
+    const top = reportListEl.scrollTop;
+    const bottom = top + reportListEl.clientHeight;
+
+    // first and last card touching the window
+    let first = 0;
+    let offset = 0;
+    while (first < listedReports.length && offset + heightOf(listedReports[first]) <= top) {
+        offset += heightOf(listedReports[first++]);
+    }
+    let last = first;
+    while (last < listedReports.length && offset < bottom) {
+        offset += heightOf(listedReports[last++]);
+    }
+    const start = Math.max(0, first - CARD_OVERSCAN);
+    const end = Math.min(listedReports.length, last + CARD_OVERSCAN);
+
+    reportWindowEl.style.paddingTop = `${d3.sum(listedReports.slice(0, start), heightOf)}px`;
+    reportWindowEl.style.paddingBottom = `${d3.sum(listedReports.slice(end), heightOf)}px`;
+
+    // cards that stay keep their elements, typing in a note survives scrolling
+    d3.select(reportWindowEl)
+        .selectAll(".report-card")
+        .data(listedReports.slice(start, end), d => d.id)
+        .join(enter => enter.append("div")
+            .attr("class", "report-card")
+            .attr("data-report-id", d => d.id)
+            .html(reportCardHtml))
+        .each(function (d) {
+            cardHeights.set(d.id, this.offsetHeight + CARD_GAP);
+        });
+}
+
+/**
+* Scrolls the list to a report and draws its card.
+* @param reportId Report ID.
+* @returns Card element, null if the report isn't listed.
+**/
+function showReportCard(reportId) {
+    const index = listedReports.findIndex(r => r.id === reportId);
+    if (index === -1) return null;
+    reportListEl.scrollTop = d3.sum(listedReports.slice(0, index), r => cardHeights.get(r.id) ?? CARD_HEIGHT_GUESS);
+    drawVisibleReports();
+    return reportWindowEl.querySelector(`.report-card[data-report-id="${CSS.escape(reportId)}"]`);
+}
+
+/**
+* Regex for every entity name and alias in report text,
+* longest first to match full names before partial ones.
+**/
+function getEntityRegex() {
+    if (entityRegex) return entityRegex;
+    const names = [
+        ...allEntities.persons,
+        ...allEntities.organizations,
+        ...allEntities.identifiers.keys(),
+        ...Object.keys(aliasMap)
+    ].sort((a, b) => b.length - a.length);
+    entityRegex = new RegExp(`\\b(${names.map(escapeRegex).join('|')})(?!\\w)`, 'g');
+    return entityRegex;
+}
+
+/**
+* Escapes text for use in a RegExp.
+* @param text Any string.
+**/
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+* Inner html of a report card.
+* @param report Report to show.
+* @returns HTML string, clicks are handled in initReportListControls.
+**/
+function reportCardHtml(report) {
+    // highlight entities in description, text between them escaped as it's from the loaded file
+    let highlightedDesc = report.reportdescription
+        .split(getEntityRegex())
+        .map((part, i) => {
+            if (i % 2 === 0) return escapeHtml(part);
+            // resolve aliases, use match
+            const resolved = aliasMap[part] || part;
+            return `<span class="clickable" data-entity-id="${escapeHtml(resolved)}">${escapeHtml(part)}</span>`;
+        })
+        .join('');
+
+    // then search hits, only in text between tags and character references
+    if (searchRegex) {
+        highlightedDesc = highlightedDesc
+            .split(/(<[^>]+>|&\w+;)/)
+            .map(part => /^[<&]/.test(part) ? part : part.replace(searchRegex, '<mark class="search-hit">$1</mark>'))
+            .join('');
+    }
+
+    // event span and filing lag
+    let eventInfo = '';
+    if (report.event_dates.length) {
+        const [first, last] = d3.extent(report.event_dates);
+        const span = +first === +last ? first.toLocaleDateString() : `${first.toLocaleDateString()} - ${last.toLocaleDateString()}`;
+        const lagged = report.event_lag !== null && report.event_lag >= LAG_THRESHOLD_DAYS;
+        eventInfo = `<span class="report-events">Events ${span}</span>` +
+            (lagged ? `<span class="report-lag" title="Days between latest event and filing">${report.event_lag} day gap</span>` : '');
+    }
+
+    // links to cited and citing reports, missing ones flagged
+    const refLink = id => `<span class="report-link" data-report-id="${escapeHtml(id)}">${escapeHtml(id)}</span>`;
+    const refs = [
+        ...report.references.filter(id => !report.dangling_references.includes(id)).map(refLink),
+        ...report.dangling_references.map(id => `<span class="report-link dangling" title="Not in dataset">${escapeHtml(id)} (missing)</span>`)
+    ];
+    let citationInfo = '';
+    if (refs.length) citationInfo += `<span>References: ${refs.join(', ')}</span>`;
+    if (report.cited_by.length) citationInfo += `<span>Cited by: ${report.cited_by.map(refLink).join(', ')}</span>`;
+
+    // things the text names that the tags missed
+    const mentions = report.untagged_mentions.map((m, i) => `
+        <span class="mention-chip ${m.kind}" title="Found by ${m.rule === 'dictionary' ? 'known entity list' : 'pattern rule'}">
+            <span class="mention-kind">${m.kind}</span>${escapeHtml(m.text)}
+            <button class="mention-action" data-mention-index="${i}" data-mention-action="accept" title="Tag on this report">\u2713</button>
+            <button class="mention-action" data-mention-index="${i}" data-mention-action="dismiss" title="Not an entity">\u00d7</button>
+        </span>`).join('');
+
+    // html card for each report
+    return `
+        <div class="report-header">
+            <h3 class="report-id">${escapeHtml(report.id)}<span class="report-origin" title="Loaded from">${escapeHtml(report.origin)}</span></h3>
+            <div class="report-dates">
+                ${eventInfo}
+                <span class="report-date">${report.date ? `Filed ${report.date.toLocaleDateString()}` : 'No Date'}</span>
+            </div>
+        </div>
+        ${citationInfo ? `<div class="report-citations">${citationInfo}</div>` : ''}
+        <p class="report-description">${highlightedDesc}</p>
+        ${annotationEditor('reports', report.id)}
+        ${mentions ? `<div class="report-mentions"><span class="text-gray-500">Untagged mentions:</span>${mentions}</div>` : ''}
+    `;
+}
+
+/**
+* Hooks up the report list: one click handler for entities, report
+* links and mentions on every card, redraws the window on scroll.
+**/
+function initReportListControls() {
+    reportListEl.addEventListener('click', (e) => {
+        const entity = e.target.closest('.clickable');
+        const reportLink = e.target.closest('.report-link[data-report-id]');
+        const mentionAction = e.target.closest('.mention-action');
+
+        if (entity) {
+            currentFilters.entity = entity.dataset.entityId;
+            updateDashboard();
+        } else if (reportLink) {
+            // follow a lead to another report
+            selectCitation(reportLink.dataset.reportId);
+        } else if (mentionAction) {
+            // accept or dismiss untagged mentions
+            const reportId = mentionAction.closest('.report-card').dataset.reportId;
+            const report = allReports.find(r => r.id === reportId);
+            const mention = report.untagged_mentions[+mentionAction.dataset.mentionIndex];
+            if (mentionAction.dataset.mentionAction === 'accept') onMentionAccept(report, mention);
+            else onMentionDismiss(report, mention);
+        }
+    });
+
+    // at most one redraw per frame however fast the wheel goes
+    reportListEl.addEventListener('scroll', () => {
+        if (listFrame !== null) return;
+        listFrame = requestAnimationFrame(() => {
+            listFrame = null;
+            drawVisibleReports();
+        });
+    });
+}
+
+/**
+* Tags a mention on its report and puts it in the network.
+* @param report Report the mention came from.
+* @param mention Mention from 'untagged_mentions'.
+**/
+function onMentionAccept(report, mention) {
+    const { kind, text } = mention;
+    acceptMention(report, mention);
+    mentionDecisions.accepted[report.id] = [...(mentionDecisions.accepted[report.id] || []), { kind, text }];
+    saveMentionDecisions(mentionDecisions);
+    refreshEntities();
+}
+
+/**
+* Hides a mention for good.
+* @param report Report the mention came from.
+* @param mention Mention from 'untagged_mentions'.
+**/
+function onMentionDismiss(report, mention) {
+    report.untagged_mentions = report.untagged_mentions.filter(m => m !== mention);
+    mentionDecisions.dismissed[report.id] = [...(mentionDecisions.dismissed[report.id] || []), mentionKey(mention)];
+    saveMentionDecisions(mentionDecisions);
+    updateDashboard();
+}
+
+/**
+* Hooks up file picker, drop zone, collection switcher and
+* data quality filter.
+**/
+function initDatasetControls() {
+    const fileInput = document.getElementById("dataset-file-input");
+    const dropZone = document.getElementById("dataset-drop-zone");
+
+    document.getElementById("dataset-add-button").addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const files = [...fileInput.files];
+        fileInput.value = '';
+        addDatasetFiles(files);
+    });
+
+    // drag and drop anywhere on the zone
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragging');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragging'));
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragging');
+        addDatasetFiles([...e.dataTransfer.files]);
+    });
+
+    document.getElementById("collection-select").addEventListener('change', (e) => {
+        const name = e.target.value || null;
+        datasetSources = name ? loadCollections()[name] : [BUNDLED_SOURCE];
+        activeCollection = name;
+        saveActiveCollection(name);
+        reloadDataset();
+    });
+
+    document.getElementById("collection-save-button").addEventListener('click', () => {
+        const name = prompt("Save current files as collection:", activeCollection || '')?.trim();
+        if (!name) return;
+        const collections = loadCollections();
+        if (collections[name] && name !== activeCollection && !confirm(`Replace collection "${name}"?`)) return;
+        collections[name] = datasetSources;
+        if (!saveCollections(collections)) {
+            alert("Could not save collection, the files are too big for browser storage.");
+            return;
+        }
+        activeCollection = name;
+        saveActiveCollection(name);
+        drawDatasetPanel();
+    });
+
+    document.getElementById("collection-delete-button").addEventListener('click', () => {
+        if (!activeCollection || !confirm(`Delete collection "${activeCollection}"? Files on disk are not touched.`)) return;
+        const { [activeCollection]: removed, ...rest } = loadCollections();
+        saveCollections(rest);
+        activeCollection = null;
+        saveActiveCollection(null);
+        datasetSources = [BUNDLED_SOURCE];
+        reloadDataset();
+    });
+
+    // column mapping step for CSV/JSON
+    document.getElementById("mapping-form").addEventListener('submit', (e) => {
+        e.preventDefault();
+        const pending = pendingImports[0];
+        const mapping = {};
+        document.querySelectorAll("#mapping-fields select").forEach(select => {
+            if (select.value) mapping[select.dataset.field] = select.value;
+        });
+        try {
+            recordsToReports(pending.records, mapping, pending.name); // validates required fields
+        } catch (error) {
+            document.getElementById("mapping-error").textContent = error.message;
+            return;
+        }
+        addSource({ name: pending.name, format: pending.format, text: pending.text, mapping });
+        nextPendingImport();
+    });
+    document.getElementById("mapping-skip-button").addEventListener('click', nextPendingImport);
+
+    document.getElementById("quality-filter").addEventListener('change', (e) => {
+        qualityFilter = e.target.value;
+        drawDataQuality();
+    });
+}
+
+/**
+* Reads dropped or picked files. REPORT text goes straight in,
+* CSV/JSON wait for the mapping step.
+* @param files Array of File objects.
+**/
+async function addDatasetFiles(files) {
+    for (const file of files) {
+        const text = await file.text();
+        const format = detectFormat(file.name);
+        if (format === 'report') {
+            addSource({ name: file.name, format, text });
+            continue;
+        }
+        try {
+            const { columns, records } = readRecords(text, format);
+            pendingImports.push({ name: file.name, format, text, columns, records });
+        } catch (error) {
+            alert(`Could not read ${file.name}: ${error.message}`);
+        }
+    }
+    if (pendingImports.length) {
+        drawMappingStep();
+    } else {
+        reloadDataset();
+    }
+}
+
+/**
+* Adds a source to the current dataset, same file name replaces
+* the earlier copy.
+* @param source Object {name, format, text, mapping}.
+**/
+function addSource(source) {
+    datasetSources = [...datasetSources.filter(s => s.name !== source.name), source];
+}
+
+/**
+* Moves to the next file waiting for mapping, reloads when done.
+**/
+function nextPendingImport() {
+    pendingImports.shift();
+    if (pendingImports.length) {
+        drawMappingStep();
+    } else {
+        document.getElementById("mapping-panel").classList.add('hidden');
+        reloadDataset();
+    }
+}
+
+/**
+* Shows column pickers for the first file waiting for mapping.
+**/
+function drawMappingStep() {
+    const { name, columns, records } = pendingImports[0];
+    const guess = guessColumnMapping(columns);
+    document.getElementById("mapping-panel").classList.remove('hidden');
+    document.getElementById("mapping-title").textContent = `Map columns of ${name} (${records.length} rows)`;
+    document.getElementById("mapping-error").textContent = '';
+
+    const field = d3.select("#mapping-fields")
+        .selectAll(".mapping-field")
+        .data(REPORT_FIELDS, d => d.key)
+        .join(enter => {
+            const label = enter.append("label").attr("class", "mapping-field");
+            label.append("span");
+            label.append("select").attr("class", "panel-input").attr("data-field", d => d.key);
+            return label;
+        });
+    field.select("span").text(d => d.label + (d.required ? ' *' : ''));
+    field.select("select")
+        .selectAll("option")
+        .data(['', ...columns])
+        .join("option")
+        .attr("value", d => d)
+        .text(d => d || '(none)');
+    field.select("select").property("value", d => guess[d.key] || '');
+}
+
+/**
+* Reloads current sources, read errors keep the old dataset on screen.
+**/
+async function reloadDataset() {
+    try {
+        await loadDataset();
+    } catch (error) {
+        console.error("Failed to load dataset:", error);
+        alert(`Could not load dataset: ${error.message}`);
+        drawDatasetPanel();
+    }
+}
+
+/**
+* Lists sources with report counts, collection switcher and load problems.
+**/
+function drawDatasetPanel() {
+    const collections = loadCollections();
+    d3.select("#collection-select")
+        .selectAll("option")
+        .data(['', ...Object.keys(collections).sort()])
+        .join("option")
+        .attr("value", d => d)
+        .text(d => d || 'Bundled dataset.txt');
+    document.getElementById("collection-select").value = activeCollection || '';
+    document.getElementById("collection-delete-button").disabled = !activeCollection;
+
+    // is what's loaded still what was saved
+    const saved = activeCollection ? collections[activeCollection] : [BUNDLED_SOURCE];
+    const modified = JSON.stringify(saved) !== JSON.stringify(datasetSources);
+    document.getElementById("collection-status").textContent = modified ? 'unsaved changes' : '';
+
+    const counts = d3.rollup(allReports, v => v.length, r => r.origin);
+    d3.select("#dataset-sources")
+        .selectAll(".dataset-source")
+        .data(datasetSources, d => d.name)
+        .join(enter => {
+            const chip = enter.append("span").attr("class", "dataset-source");
+            chip.append("span").attr("class", "dataset-source-label");
+            chip.append("button")
+                .attr("class", "filter-chip-remove")
+                .attr("title", "Remove file from dataset")
+                .text("\u00d7")
+                .on("click", (event, d) => {
+                    datasetSources = datasetSources.filter(s => s.name !== d.name);
+                    reloadDataset();
+                });
+            return chip;
+        })
+        .select(".dataset-source-label")
+        .text(d => `${d.name} (${counts.get(d.name) || 0})`);
+
+    // details are in the data quality panel
+    const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+    document.getElementById("dataset-issues").textContent = errorCount
+        ? `${errorCount} block${errorCount === 1 ? '' : 's'} couldn't be read, see Data Quality.` : '';
+}
+
+/**
+* Lists parser diagnostics of the loaded dataset, worst first.
+* rows with a report ID jump to that report.
+**/
+function drawDataQuality() {
+    const severityOrder = { error: 0, warning: 1, info: 2 };
+    const counts = d3.rollup(diagnostics, v => v.length, d => d.code);
+    if (!counts.has(qualityFilter)) qualityFilter = '';
+
+    d3.select("#quality-filter")
+        .selectAll("option")
+        .data(['', ...Object.keys(QUALITY_PROBLEMS).filter(code => counts.has(code))])
+        .join("option")
+        .attr("value", d => d)
+        .text(d => d ? `${QUALITY_PROBLEMS[d]} (${counts.get(d)})` : `All problems (${diagnostics.length})`);
+    document.getElementById("quality-filter").value = qualityFilter;
+
+    const rows = diagnostics
+        .filter(d => !qualityFilter || d.code === qualityFilter)
+        .sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]
+            || d3.ascending(a.origin, b.origin) || (a.line ?? 0) - (b.line ?? 0));
+
+    const items = d3.select("#quality-list")
+        .selectAll(".quality-item")
+        .data(rows)
+        .join(enter => {
+            const li = enter.append("li");
+            li.append("span").attr("class", "quality-severity");
+            li.append("span").attr("class", "quality-where");
+            li.append("span").attr("class", "quality-problem");
+            return li;
+        })
+        .attr("class", d => `quality-item ${d.severity}`)
+        .classed("clickable", d => d.reportId !== null)
+        .attr("title", d => d.reportId ? `Show report ${d.reportId}` : null)
+        .on("click", (event, d) => { if (d.reportId) jumpToReport(d.reportId); });
+    items.select(".quality-severity").text(d => d.severity);
+    items.select(".quality-where").text(d => [
+        d.line ? `${d.origin}:${d.line}` : d.origin,
+        d.reportId,
+        d.field,
+    ].filter(Boolean).join(' \u00b7 '));
+    items.select(".quality-problem").text(d => d.problem);
+
+    document.getElementById("quality-empty").classList.toggle('hidden', diagnostics.length > 0);
+}
+
+/**
+* Scrolls the report list to a report, clearing filters that hide it.
+* @param reportId Report ID.
+**/
+function jumpToReport(reportId) {
+    let card = showReportCard(reportId);
+    if (!card) {
+        resetFilters();
+        card = showReportCard(reportId);
+    }
+    // duplicate dropped on merge and nothing else left with that ID
+    if (card) flashReportCard(card);
+}
+
+/**
+* Brings a report card into view and flashes it.
+* @param card Report card element.
+**/
+function flashReportCard(card) {
+    card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    card.classList.add('flash');
+    setTimeout(() => card.classList.remove('flash'), 1200);
+}
+
+/**
+* Hooks up export menus of network, charts and report list.
+**/
+function initExportControls() {
+    // pick a format, menu snaps back so the same one can be picked again
+    const onPick = (id, handler) => {
+        const select = document.getElementById(id);
+        select.addEventListener('change', async () => {
+            const format = select.value;
+            select.value = '';
+            if (!format) return;
+            try {
+                await handler(format);
+            } catch (error) {
+                console.error("Export failed:", error);
+                alert(`Export failed: ${error.message}`);
+            }
+        });
+    };
+
+    // network as drawn, pruned links left out
+    const networkFormats = {
+        graphml: () => downloadFile(networkToGraphML(visibleNetwork), 'network.graphml', 'application/graphml+xml'),
+        gexf: () => downloadFile(networkToGexf(visibleNetwork), 'network.gexf', 'application/gexf+xml'),
+        json: () => downloadFile(networkToJson(visibleNetwork), 'network.json', 'application/json'),
+    };
+    onPick("network-export", format => networkFormats[format]
+        ? networkFormats[format]()
+        : exportPanel(networkSvg.node(), 'network', format));
+    onPick("location-export", format => exportPanel(locationSvg.node(), 'locations', format));
+    onPick("timeline-export", format => exportPanel(timelineSvg.node(), 'timeline', format));
+
+    onPick("reports-export", format => {
+        if (format === 'csv') downloadFile(reportsToCsv(shownReports), 'reports.csv', 'text/csv');
+        else if (format === 'json') downloadFile(reportsToJson(shownReports), 'reports.json', 'application/json');
+        else exportCaseFile();
+    });
+}
+
+/**
+* Downloads a chart panel as standalone SVG or PNG.
+* @param svg Panel svg element.
+* @param name File name without extension.
+* @param format 'svg' or 'png'.
+**/
+async function exportPanel(svg, name, format) {
+    const svgData = serializeSvg(svg);
+    if (format === 'png') {
+        downloadFile(await svgToPng(svgData), `${name}.png`);
+    } else {
+        downloadFile(svgData.markup, `${name}.svg`, 'image/svg+xml');
+    }
+}
+
+/**
+* Draws agency and source facets and the cross-agency list.
+* @param reports Reports matching every filter but the facets.
+**/
+function drawFacets(reports) {
+    // each facet counts what the other one lets through
+    const inSource = currentFilters.source === null ? reports : reports.filter(r => r.reportsource === currentFilters.source);
+    const inAgency = currentFilters.agency ? reports.filter(r => r.agency === currentFilters.agency) : reports;
+    const agencyCounts = d3.rollup(inSource, v => v.length, r => r.agency);
+    const sourceCounts = d3.rollup(inAgency, v => v.length, r => r.reportsource);
+    if (currentFilters.source !== null && !sourceCounts.has(currentFilters.source)) sourceCounts.set(currentFilters.source, 0);
+
+    const agencies = agencyColor.domain().map(value => ({ value, label: value, count: agencyCounts.get(value) || 0 }));
+    const sources = [...sourceCounts]
+        .map(([value, count]) => ({ value, label: value || '(none given)', count }))
+        .sort((a, b) => b.count - a.count || d3.ascending(a.label, b.label));
+
+    drawFacetList("#agency-facets", agencies, 'agency', d => agencyColor(d.value));
+    drawFacetList("#source-facets", sources, 'source', () => null);
+    drawConvergence(reports);
+}
+
+/**
+* One facet list, a row per value with its count as a bar.
+* @param selector List element selector.
+* @param items Array of {value, label, count}.
+* @param filterKey Key in currentFilters the rows toggle.
+* @param color Function giving the swatch color, null for none.
+**/
+function drawFacetList(selector, items, filterKey, color) {
+    const max = d3.max(items, d => d.count) || 1;
+    const rows = d3.select(selector)
+        .selectAll(".facet-row")
+        .data(items, d => d.value)
+        .join(enter => {
+            const row = enter.append("li").attr("class", "facet-row");
+            row.append("span").attr("class", "facet-swatch");
+            row.append("span").attr("class", "facet-label");
+            row.append("span").attr("class", "facet-count");
+            return row;
+        })
+        .classed("selected", d => currentFilters[filterKey] === d.value)
+        .classed("empty", d => d.count === 0)
+        .style("background", d => `linear-gradient(90deg, #37415199 ${100 * d.count / max}%, transparent 0)`)
+        .on("click", (event, d) => {
+            currentFilters[filterKey] = currentFilters[filterKey] === d.value ? null : d.value;
+            updateDashboard();
+        });
+    rows.select(".facet-swatch").style("background-color", color).classed("hidden", d => !color(d));
+    rows.select(".facet-label").text(d => d.label).attr("title", d => d.label);
+    rows.select(".facet-count").text(d => d.count);
+}
+
+/**
+* Lists entities two or more agencies report on, most agencies first.
+* @param reports Reports matching every filter but the facets.
+**/
+function drawConvergence(reports) {
+    // only recount when the filters changed which reports are in
+    if (!sameReports(convergenceRows.reports, reports)) {
+        const rows = [...getEntityAgencies(reports)]
+            .filter(([, agencies]) => agencies.size > 1)
+            .map(([entity, agencies]) => ({
+                entity,
+                agencies: [...agencies].sort((a, b) => b[1] - a[1]),
+                total: d3.sum(agencies.values()),
+            }))
+            .sort((a, b) => b.agencies.length - a.agencies.length || b.total - a.total || d3.ascending(a.entity, b.entity));
+        convergenceRows = { reports, rows };
+    }
+    const { rows } = convergenceRows;
+    document.getElementById("convergence-count").textContent = rows.length;
+
+    const items = d3.select("#convergence-list")
+        .selectAll(".convergence-row")
+        .data(rows.slice(0, CONVERGENCE_LIMIT), d => d.entity)
+        .join(enter => {
+            const row = enter.append("li").attr("class", "convergence-row");
+            row.append("span").attr("class", "convergence-name");
+            row.append("span").attr("class", "convergence-agencies");
+            return row;
+        })
+        .order()
+        .classed("selected", d => d.entity === currentFilters.entity)
+        .on("click", (event, d) => {
+            currentFilters.entity = currentFilters.entity === d.entity ? null : d.entity;
+            updateDashboard();
+        });
+    items.select(".convergence-name").text(d => d.entity);
+    items.select(".convergence-agencies")
+        .selectAll(".agency-chip")
+        .data(d => d.agencies)
+        .join("span")
+        .attr("class", "agency-chip")
+        .style("background-color", ([agency]) => agencyColor(agency))
+        .attr("title", ([agency, count]) => `${count} ${agency} report${count === 1 ? '' : 's'}`)
+        .text(([agency, count]) => `${agency} ${count}`);
+}
+
+/**
+* True if both lists hold the same report objects in the same order,
+* a pass of reference checks instead of recounting entities.
+* @param a Array of reports or null.
+* @param b Array of reports.
+**/
+function sameReports(a, b) {
+    return a === b || (!!a && a.length === b.length && a.every((r, i) => r === b[i]));
+}
+
+/**
+* Restores the view in the url, then keeps url and history in step
+* with every filter change.
+**/
+function initViewHistory() {
+    applyViewState(decodeViewState(location.search));
+    viewReady = true;
+    recordViewState();
+
+    // back/forward
+    window.addEventListener('popstate', () => {
+        restoringView = true;
+        applyViewState(decodeViewState(location.search));
+        restoringView = false;
+    });
+}
+
+/**
+* Current filters and zoom in the shape view-state.js reads.
+**/
+function getViewState() {
+    const { link } = currentFilters;
+    return {
+        ...currentFilters,
+        link: link && { source: link.source, target: link.target },
+        zoom: d3.zoomTransform(networkSvg.node()),
+    };
+}
+
+/**
+* Puts the view in the url. filter changes get a history entry and a
+* trail step, zoom only updates the current entry.
+**/
+function recordViewState() {
+    if (!viewReady || holdViewState) return;
+    const state = getViewState();
+    const filters = encodeViewState({ ...state, zoom: null });
+    const query = encodeViewState(state);
+    const url = `${location.pathname}${query ? `?${query}` : ''}${location.hash}`;
+
+    const isNewView = history.state?.filters !== filters;
+    if (isNewView && !restoringView && history.state) {
+        history.pushState({ filters }, '', url);
+    } else {
+        history.replaceState({ filters }, '', url);
+    }
+
+    // trail follows the filters, zoom alone isn't a step.
+    // going back to a step keeps the trail as it was
+    let step = viewTrail.find(s => s.filters === filters);
+    if (step) {
+        step.query = query;
+    } else {
+        step = { filters, query, label: describeFilters().map(c => c.label).join(' + ') || 'All reports' };
+        viewTrail = [...viewTrail, step].slice(-VIEW_TRAIL_LENGTH);
+    }
+    currentViewStep = step;
+    drawViewTrail();
+}
+
+/**
+* Sets filters, brushes, search and zoom from a decoded view.
+* names that aren't in the current dataset are dropped.
+* @param state Object from decodeViewState.
+**/
+function applyViewState(state) {
+    const entityIds = new Set(vizData.network.nodes.map(n => n.id));
+    currentFilters.entity = entityIds.has(state.entity) ? state.entity : null;
+    currentFilters.citation = allReports.some(r => r.id === state.citation) ? state.citation : null;
+    currentFilters.tag = state.tag;
+    currentFilters.agency = state.agency;
+    currentFilters.source = state.source;
+
+    setLocationFilter(state.location);
+
+    currentFilters.link = findLinkFilter(state.link);
+
+    currentFilters.timeRange = state.timeRange;
+    currentFilters.eventRange = state.eventRange;
+    setTimeBrush('filed', state.timeRange);
+    setTimeBrush('events', state.eventRange);
+
+    clearSearch();
+    if (state.search) {
+        document.getElementById("search-input").value = state.search;
+        try {
+            applySearch(state.search);
+        } catch (error) {
+            document.getElementById("search-error").textContent = error.message;
+        }
+    }
+
+    const { k, x, y } = state.zoom || { k: 1, x: 0, y: 0 };
+    if (networkZoom) networkSvg.call(networkZoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+
+    updateDashboard();
+}
+
+/**
+* Link filter for a saved tie, the reports behind it come from
+* the loaded network, not from the saved view.
+* @param link Object {source, target} or null.
+* @returns Link filter or null if the tie isn't in the network.
+**/
+function findLinkFilter(link) {
+    const found = link && vizData.network.links.find(l => {
+        const ends = [nodeId(l.source), nodeId(l.target)];
+        return ends.includes(link.source) && ends.includes(link.target);
+    });
+    return found ? { source: nodeId(found.source), target: nodeId(found.target), reportIds: found.reportIds } : null;
+}
+
+/**
+* Draws the trail of recent views, click one to go back to it.
+**/
+function drawViewTrail() {
+    d3.select(viewTrailEl)
+        .selectAll(".view-step")
+        .data(viewTrail, d => d.filters)
+        .join("button")
+        .attr("class", "view-step")
+        .classed("current", d => d === currentViewStep)
+        .attr("title", d => d.label)
+        .text(d => d.label)
+        .on("click", (event, d) => {
+            if (d !== currentViewStep) applyViewState(decodeViewState(d.query));
+        });
+}
+
+/**
+* Notes, tags and a star for a report card or the selected node.
+* @param kind 'reports' or 'nodes'.
+* @param id Report ID or node ID.
+* @returns HTML string, handled in initAnnotationControls.
+**/
+function annotationEditor(kind, id) {
+    const { note, tags, starred } = getAnnotation(annotations, kind, id);
+    const tagChips = tags.map(tag => `
+        <span class="tag-chip">
+            <span class="tag-label" data-annotation-action="filter" data-tag="${escapeHtml(tag)}" title="Show everything tagged ${escapeHtml(tag)}">${escapeHtml(tag)}</span>
+            <button class="filter-chip-remove" data-annotation-action="untag" data-tag="${escapeHtml(tag)}" title="Remove tag">\u00d7</button>
+        </span>`).join('');
+    return `
+        <div class="annotation-editor" data-annotation-kind="${kind}" data-annotation-id="${escapeHtml(id)}">
+            <button class="annotation-star${starred ? ' starred' : ''}" data-annotation-action="star" title="${starred ? 'Unstar' : 'Star'}">${starred ? '\u2605' : '\u2606'}</button>
+            ${tagChips}
+            <input class="tag-input panel-input" list="tag-options" placeholder="+ tag" title="Type a tag and press Enter">
+            <button class="annotation-action" data-annotation-action="note">${note ? 'Edit note' : 'Add note'}</button>
+            <p class="annotation-note${note ? '' : ' hidden'}">${escapeHtml(note)}</p>
+            <textarea class="annotation-note-input panel-input hidden" rows="3" placeholder="Note, saved when you click away">${escapeHtml(note)}</textarea>
+        </div>`;
+}
+
+/**
+* Escapes analyst or loaded file text for innerHTML.
+* @param text Any string.
+**/
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+* Hooks up annotation editors (delegated, cards are redrawn a lot),
+* the tag filter and case file import.
+**/
+function initAnnotationControls() {
+    for (const container of [reportListEl, nodeAnnotationEl]) {
+        container.addEventListener('click', (e) => {
+            const el = e.target.closest('[data-annotation-action]');
+            if (!el) return;
+            const editor = el.closest('.annotation-editor');
+            const { annotationKind: kind, annotationId: id } = editor.dataset;
+            const { tags, starred } = getAnnotation(annotations, kind, id);
+
+            switch (el.dataset.annotationAction) {
+                case 'star':
+                    onAnnotationChange(kind, id, { starred: !starred });
+                    break;
+                case 'untag':
+                    onAnnotationChange(kind, id, { tags: tags.filter(t => t !== el.dataset.tag) });
+                    break;
+                case 'filter':
+                    currentFilters.tag = el.dataset.tag;
+                    updateDashboard();
+                    break;
+                case 'note': {
+                    const input = editor.querySelector('.annotation-note-input');
+                    input.classList.remove('hidden');
+                    editor.querySelector('.annotation-note').classList.add('hidden');
+                    input.focus();
+                    break;
+                }
+            }
+        });
+
+        // new tag on enter
+        container.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || !e.target.matches('.tag-input')) return;
+            e.preventDefault();
+            const tag = normalizeTag(e.target.value);
+            if (!tag) return;
+            const { annotationKind: kind, annotationId: id } = e.target.closest('.annotation-editor').dataset;
+            onAnnotationChange(kind, id, { tags: [...getAnnotation(annotations, kind, id).tags, tag] });
+        });
+
+        // note saved when the textarea loses focus
+        container.addEventListener('change', (e) => {
+            if (!e.target.matches('.annotation-note-input')) return;
+            const { annotationKind: kind, annotationId: id } = e.target.closest('.annotation-editor').dataset;
+            onAnnotationChange(kind, id, { note: e.target.value });
+        });
+    }
+
+    document.getElementById("tag-filter").addEventListener('change', (e) => {
+        currentFilters.tag = e.target.value || null;
+        updateDashboard();
+    });
+
+    const importInput = document.getElementById("case-import-input");
+    document.getElementById("case-import-button").addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        const [file] = importInput.files;
+        importInput.value = '';
+        if (file) importCaseFile(file);
+    });
+}
+
+/**
+* Saves an annotation change and redraws what shows it.
+* @param kind 'reports' or 'nodes'.
+* @param id Report ID or node ID.
+* @param changes Any of {note, tags, starred}.
+**/
+function onAnnotationChange(kind, id, changes) {
+    updateAnnotation(annotations, kind, id, changes);
+    saveAnnotations(annotations);
+    markAnnotatedNodes();
+
+    // list is redrawn, stay where the analyst was reading
+    const scroll = reportListEl.scrollTop;
+    updateDashboard();
+    reportListEl.scrollTop = scroll;
+    drawVisibleReports();
+}
+
+/**
+* Reports carrying the tag themselves or through one of their entities.
+* @param tag Normalized tag.
+* @returns Set of report ids.
+**/
+function getTaggedReports(tag) {
+    const tagged = kind => Object.keys(annotations[kind]).filter(id => annotations[kind][id].tags.includes(tag));
+    const ids = new Set(tagged('reports'));
+    for (const entity of tagged('nodes')) {
+        for (const id of reportIndex.byEntity.get(entity) || []) ids.add(id);
+    }
+    return ids;
+}
+
+/**
+* Fills the tag filter and tag suggestions.
+**/
+function drawTagOptions() {
+    const tags = getAllTags(annotations);
+    // a filter on a tag nobody uses any more still needs its option
+    if (currentFilters.tag && !tags.includes(currentFilters.tag)) tags.push(currentFilters.tag);
+
+    d3.select("#tag-filter")
+        .selectAll("option")
+        .data(['', ...tags])
+        .join("option")
+        .attr("value", d => d)
+        .text(d => d || 'All tags');
+    document.getElementById("tag-filter").value = currentFilters.tag || '';
+
+    d3.select("#tag-options")
+        .selectAll("option")
+        .data(tags)
+        .join("option")
+        .attr("value", d => d);
+}
+
+/**
+* Shows the annotation editor for the selected network node.
+**/
+function drawNodeAnnotation() {
+    const entity = currentFilters.entity;
+    nodeAnnotationEl.classList.toggle('hidden', !entity);
+    nodeAnnotationEl.innerHTML = entity
+        ? `<span class="annotation-title">${escapeHtml(entity)}</span>${nodeActions(entity)}${annotationEditor('nodes', entity)}` : '';
+}
+
+/**
+* Hooks up the entity profile, every item in it pivots the view.
+**/
+function initEntityProfile() {
+    document.getElementById("profile-close").addEventListener('click', () => removeFilter('entity'));
+    entityProfileEl.addEventListener('click', (e) => {
+        const el = e.target.closest('[data-pivot]');
+        if (el) onProfilePivot(el.dataset.pivot, el.dataset.value);
+    });
+}
+
+/**
+* Draws the profile of the selected entity from every report naming
+* it, not just the filtered ones.
+**/
+function drawEntityProfile() {
+    const id = currentFilters.entity;
+    const node = id && vizData.network.nodes.find(n => n.id === id);
+    entityProfileEl.classList.toggle('hidden', !node);
+    if (!node) {
+        drawnProfile = null;
+        return;
+    }
+
+    // the profile doesn't follow the filters, redraw only for another entity or dataset
+    const drawing = { id, reportIndex, network: vizData.network, aliasMap };
+    if (drawnProfile && Object.keys(drawing).every(key => drawnProfile[key] === drawing[key])) return;
+    drawnProfile = drawing;
+
+    const ids = reportIndex.byEntity.get(id) || new Set();
+    const reports = allReports.filter(r => ids.has(r.id));
+    const profile = getEntityProfile(reports, vizData.network, aliasMap, id);
+    const formatDate = d3.timeFormat('%b %d, %Y');
+
+    const item = (pivot, value, label, title, count, color) =>
+        `<button class="profile-item" data-pivot="${pivot}" data-value="${escapeHtml(value)}" title="${escapeHtml(title)}">` +
+        (color ? `<span class="profile-swatch" style="background-color:${color}"></span>` : '') +
+        escapeHtml(label) + (count !== undefined ? `<span class="profile-count">${count}</span>` : '') + '</button>';
+    const section = (heading, items, empty) => `
+        <h4 class="profile-heading">${heading}</h4>
+        <div class="profile-items">${items.join('') || `<span class="text-gray-500">${empty}</span>`}</div>`;
+    const seen = report => report
+        ? item('report', report.id, formatDate(report.date), `Go to ${report.id}`) : '<span class="text-gray-500">no date</span>';
+
+    document.getElementById("profile-body").innerHTML = `
+        <h3 class="profile-name">${escapeHtml(id)}<span class="profile-type">${node.type}</span></h3>
+        <p class="profile-seen">
+            <span>First seen ${seen(profile.firstSeen)}</span>
+            <span>Last seen ${seen(profile.lastSeen)}</span>
+            <span>${reports.length} report${reports.length === 1 ? '' : 's'}</span>
+        </p>
+        <svg class="profile-sparkline"></svg>
+        ${section('Aliases', profile.aliases.map(alias => item('alias', alias, alias, `Search reports for "${alias}"`)), 'none on file')}
+        ${section('Locations', profile.locations.slice(0, PROFILE_LIST_LIMIT).map(l =>
+            item('location', placeKey(l.path), formatLocationPath(l.path), 'Filter to this location', l.count)), 'no places')}
+        ${section('Strongest associates', profile.associates.slice(0, PROFILE_LIST_LIMIT).map(a =>
+            item('entity', a.id, a.id, `Profile of ${a.id}`) +
+            item('link', a.id, 'shared', `The ${a.weight} report${a.weight === 1 ? '' : 's'} naming both`, a.weight)), 'no ties')}
+        ${section('Reported by', profile.agencies.map(a =>
+            item('agency', a.agency, a.agency, `Filter to ${a.agency}`, a.count, agencyColor(a.agency))), 'no agency')}
+    `;
+    drawProfileSparkline(profile.activity);
+}
+
+/**
+* Reports per month for the profile, on the whole dataset's time
+* span so profiles compare. click a month to filter to it.
+* @param activity Array of {date, count} by month.
+**/
+function drawProfileSparkline(activity) {
+    const svg = d3.select(entityProfileEl).select(".profile-sparkline");
+    const width = entityProfileEl.clientWidth || 300;
+    const height = 40;
+    svg.attr('viewBox', [0, 0, width, height]);
+    const [first, last] = temporalView.domain;
+    if (first === undefined) return;
+
+    const x = d3.scaleTime()
+        .domain([d3.timeMonth.floor(first), d3.timeMonth.offset(d3.timeMonth.floor(last), 1)])
+        .range([0, width]);
+    const y = d3.scaleLinear()
+        .domain([0, d3.max(activity, d => d.count) || 1])
+        .range([height, 2]);
+
+    svg.append("line")
+        .attr("class", "profile-baseline")
+        .attr("x1", 0).attr("x2", width)
+        .attr("y1", height - 0.5).attr("y2", height - 0.5);
+    svg.selectAll("rect")
+        .data(activity)
+        .join("rect")
+        .attr("class", "profile-bar")
+        .attr("x", d => x(d.date))
+        .attr("y", d => y(d.count))
+        .attr("width", d => Math.max(2, x(d3.timeMonth.offset(d.date, 1)) - x(d.date) - 1))
+        .attr("height", d => height - y(d.count))
+        .on("click", (event, d) => onProfilePivot('month', d3.timeFormat('%Y-%m')(d.date)))
+        .append("title")
+        .text(d => `${d3.timeFormat('%b %Y')(d.date)}: ${d.count} report${d.count === 1 ? '' : 's'}`);
+}
+
+/**
+* Pivots from a profile item, the entity stays selected unless
+* another one is picked.
+* @param pivot 'alias', 'report', 'entity', 'link', 'location', 'agency' or 'month'.
+* @param value Item value (alias, report id, entity id, placeKey, agency or "YYYY-MM").
+**/
+function onProfilePivot(pivot, value) {
+    if (pivot === 'report') {
+        jumpToReport(value);
+        return;
+    }
+    if (pivot === 'alias') {
+        // reports that still use the alias in their text
+        const query = `"${value}"`;
+        document.getElementById("search-input").value = query;
+        try {
+            applySearch(query);
+            document.getElementById("search-error").textContent = '';
+        } catch (error) {
+            document.getElementById("search-error").textContent = error.message;
+            return;
+        }
+    } else if (pivot === 'entity') {
+        currentFilters.entity = value;
+    } else if (pivot === 'link') {
+        const link = vizData.network.links.find(l => [nodeId(l.source), nodeId(l.target)].sort().join('|') === [currentFilters.entity, value].sort().join('|'));
+        currentFilters.link = { source: nodeId(link.source), target: nodeId(link.target), reportIds: link.reportIds };
+    } else if (pivot === 'location') {
+        setLocationFilter(value.split('/'));
+    } else if (pivot === 'agency') {
+        currentFilters.agency = value;
+    } else if (pivot === 'month') {
+        // local month like the activity bins, not UTC as new Date("YYYY-MM") would be
+        const start = d3.timeParse('%Y-%m')(value);
+        currentFilters.timeRange = [start, d3.timeMonth.offset(start, 1)];
+        setTimeBrush('filed', currentFilters.timeRange);
+    }
+    updateDashboard();
+}
+
+/**
+* Focus mode and layout buttons for the selected node.
+* @param id Node ID.
+* @returns HTML string, handled in initFocusControls.
+**/
+function nodeActions(id) {
+    const inView = egoView && visibleNetwork.nodes.some(n => n.id === id);
+    const actions = [
+        { action: 'focus', label: 'Focus', title: 'Show only this node and its neighbors', show: egoView?.focus !== id },
+        { action: 'expand', label: 'Expand', title: 'Pull in its neighbors', show: inView && (!egoView.expanded.has(id) || egoView.collapsed.has(id)) },
+        { action: 'collapse', label: 'Collapse', title: 'Drop what is only reached through it', show: inView && !egoView.collapsed.has(id) },
+        { action: 'pin', label: pinnedNodes.has(id) ? 'Unpin' : 'Pin', title: 'Hold it in place', show: true },
+        { action: 'hide', label: 'Hide', title: 'Take it off the graph', show: true },
+    ];
+    return `<span class="node-actions">${actions.filter(a => a.show).map(a =>
+        `<button class="annotation-action" data-node-action="${a.action}" data-node-id="${escapeHtml(id)}" title="${a.title}">${a.label}</button>`
+    ).join('')}</span>`;
+}
+
+/**
+* Hooks up focus mode: entity picker, hop slider, node actions.
+**/
+function initFocusControls() {
+    const hopSlider = document.getElementById("hop-slider");
+
+    document.getElementById("focus-form").addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById("focus-input");
+        const id = input.value.trim();
+        if (!vizData.network.nodes.some(n => n.id === id)) {
+            input.setCustomValidity?.('Pick an entity from the list.');
+            input.reportValidity?.();
+            return;
+        }
+        input.setCustomValidity?.('');
+        focusOn(id);
+    });
+
+    hopSlider.addEventListener('input', () => {
+        if (!egoView) return;
+        egoView.depth = +hopSlider.value;
+        redrawNetwork();
+        updateDashboard();
+    });
+
+    document.getElementById("focus-exit").addEventListener('click', () => {
+        egoView = null;
+        redrawNetwork();
+        updateDashboard();
+    });
+
+    document.getElementById("unhide-button").addEventListener('click', () => {
+        hiddenNodes = new Set();
+        redrawNetwork();
+        updateDashboard();
+    });
+
+    nodeAnnotationEl.addEventListener('click', (e) => {
+        const el = e.target.closest('[data-node-action]');
+        if (el) onNodeAction(el.dataset.nodeAction, el.dataset.nodeId);
+    });
+}
+
+/**
+* Starts focus mode on a node, 1 hop unless the slider says more.
+* @param id Node ID.
+**/
+function focusOn(id) {
+    egoView = {
+        focus: id,
+        depth: +document.getElementById("hop-slider").value,
+        expanded: new Set(),
+        collapsed: new Set(),
+    };
+    hiddenNodes.delete(id);
+    currentFilters.entity = id;
+    clearConnectionPaths(); // paths may leave the neighborhood
+    redrawNetwork();
+    updateDashboard();
+}
+
+/**
+* Runs a node action from the selected node panel.
+* @param action 'focus', 'expand', 'collapse', 'pin' or 'hide'.
+* @param id Node ID.
+**/
+function onNodeAction(action, id) {
+    if (action === 'focus') {
+        focusOn(id);
+        return;
+    }
+    if (action === 'expand') {
+        egoView.expanded.add(id);
+        egoView.collapsed.delete(id);
+    } else if (action === 'collapse') {
+        egoView.expanded.delete(id);
+        egoView.collapsed.add(id);
+    } else if (action === 'pin') {
+        const node = visibleNetwork.nodes.find(n => n.id === id);
+        if (pinnedNodes.has(id)) {
+            pinnedNodes.delete(id);
+            if (node) forceSimulation.fix(Object.assign(node, { fx: null, fy: null }));
+        } else {
+            pinnedNodes.add(id);
+            if (node) forceSimulation.fix(Object.assign(node, { fx: node.x, fy: node.y }));
+        }
+        networkSvg.selectAll('.node-group').classed('pinned', d => pinnedNodes.has(d.id));
+        forceSimulation.alpha(0.3).restart();
+        drawNodeAnnotation();
+        return;
+    } else if (action === 'hide') {
+        hiddenNodes.add(id);
+        if (currentFilters.entity === id) currentFilters.entity = null;
+        clearConnectionPaths();
+    }
+    redrawNetwork();
+    updateDashboard();
+}
+
+/**
+* Shows focus mode state next to its controls.
+**/
+function drawFocusControls() {
+    const hopSlider = document.getElementById("hop-slider");
+    hopSlider.disabled = !egoView;
+    if (egoView) hopSlider.value = egoView.depth;
+    document.getElementById("hop-value").innerText = hopSlider.value;
+    document.getElementById("focus-exit").classList.toggle('hidden', !egoView);
+
+    const unhide = document.getElementById("unhide-button");
+    unhide.classList.toggle('hidden', hiddenNodes.size === 0);
+    unhide.textContent = `Unhide ${hiddenNodes.size}`;
+
+    document.getElementById("focus-status").textContent = egoView
+        ? `Focus on ${egoView.focus}: ${visibleNetwork.nodes.length} of ${vizData.network.nodes.length} nodes` : '';
+}
+
+/**
+* Hooks up the time slider of the network: on/off, play/pause,
+* cumulative or window mode.
+**/
+function initTemporalControls() {
+    const slider = document.getElementById("temporal-slider");
+    const windowInput = document.getElementById("temporal-window");
+
+    document.getElementById("temporal-toggle").addEventListener('change', (e) => {
+        if (e.target.checked) startTemporalView();
+        else stopTemporalView();
+    });
+
+    document.getElementById("temporal-play").addEventListener('click', () => {
+        if (temporalView.timer) {
+            pauseTemporal();
+            recordViewState(); // the frame it stopped on is a view
+        } else {
+            playTemporal();
+        }
+    });
+
+    // dragging draws frames, letting go makes it a view
+    slider.addEventListener('input', () => {
+        temporalView.time = d3.timeDay.offset(temporalView.domain[0], +slider.value);
+        pauseTemporal();
+        showTemporalFrame(false);
+    });
+    slider.addEventListener('change', () => recordViewState());
+
+    document.getElementById("temporal-mode").addEventListener('change', (e) => {
+        temporalView.mode = e.target.value;
+        showTemporalFrame();
+    });
+    windowInput.addEventListener('change', () => {
+        temporalView.windowDays = Math.max(1, Math.round(+windowInput.value) || 1);
+        showTemporalFrame();
+    });
+}
+
+/**
+* Turns the time slider off and sizes it to the dataset, on load.
+**/
+function resetTemporalView() {
+    pauseTemporal();
+    temporalView.on = false;
+    temporalView.domain = d3.extent(allReports, r => r.date);
+    drawTemporalControls();
+}
+
+/**
+* Turns the time slider on. a filed brush already on the timeline
+* becomes the first frame, otherwise it starts at the last report.
+**/
+function startTemporalView() {
+    temporalView.on = true;
+    // whole network as laid out now is home, frames show parts of it in place
+    vizData.network.nodes.forEach(n => Object.assign(n, { homeX: n.x, homeY: n.y }));
+    temporalView.time = temporalView.domain[1];
+    if (currentFilters.timeRange) syncTemporalView();
+    showTemporalFrame();
+}
+
+/**
+* Turns the time slider off, its time filter goes with it.
+**/
+function stopTemporalView() {
+    pauseTemporal();
+    temporalView.on = false;
+    currentFilters.timeRange = null;
+    clearTimeBrush('filed');
+    drawTemporalControls();
+    redrawNetwork();
+    updateDashboard();
+}
+
+/**
+* Date range the slider stands for.
+* @returns Array of two Dates.
+**/
+function getTemporalRange() {
+    const { mode, time, windowDays, domain } = temporalView;
+    if (mode === 'cumulative') return [domain[0], time];
+    return [d3.timeDay.offset(time, -Math.floor(windowDays / 2)), d3.timeDay.offset(time, Math.ceil(windowDays / 2))];
+}
+
+/**
+* Shows the slider time: filed brush, time filter and network.
+* @param record False for playback and drag frames, they stay out of history.
+**/
+function showTemporalFrame(record = true) {
+    const range = getTemporalRange();
+    currentFilters.timeRange = range;
+    setTimeBrush('filed', range);
+    drawTemporalControls();
+    redrawNetwork();
+
+    holdViewState = !record;
+    updateDashboard();
+    holdViewState = false;
+}
+
+/**
+* Steps the slider forward until the last report, from the start
+* again if it's already there.
+**/
+function playTemporal() {
+    const [first, last] = temporalView.domain;
+    if (temporalView.time >= last) temporalView.time = first;
+    const step = Math.max(1, Math.ceil(d3.timeDay.count(first, last) / PLAY_FRAMES));
+
+    temporalView.timer = setInterval(() => {
+        const next = d3.timeDay.offset(temporalView.time, step);
+        if (next < last) {
+            temporalView.time = next;
+            showTemporalFrame(false);
+            return;
+        }
+        // last frame, stop there
+        temporalView.time = last;
+        pauseTemporal();
+        showTemporalFrame();
+    }, PLAY_INTERVAL);
+    showTemporalFrame(false);
+}
+
+/**
+* Stops playback, the current frame stays.
+**/
+function pauseTemporal() {
+    clearInterval(temporalView.timer);
+    temporalView.timer = null;
+    drawTemporalControls();
+}
+
+/**
+* Moves the slider to the filed brush after it changed some other
+* way (brushing, a removed chip, back/forward).
+* @returns True if the network needs a redraw.
+**/
+function syncTemporalView() {
+    const range = currentFilters.timeRange;
+    // brush cleared, whole network again
+    if (!range) {
+        pauseTemporal();
+        temporalView.on = false;
+        drawTemporalControls();
+        return true;
+    }
+
+    const [start, end] = getTemporalRange();
+    if (+range[0] === +start && +range[1] === +end) return false;
+    pauseTemporal();
+    if (temporalView.mode === 'cumulative') {
+        // counts from the first report, brush start snaps back to it
+        temporalView.time = range[1];
+        currentFilters.timeRange = getTemporalRange();
+        setTimeBrush('filed', currentFilters.timeRange);
+    } else {
+        temporalView.time = new Date((+range[0] + +range[1]) / 2);
+        temporalView.windowDays = Math.max(1, d3.timeDay.count(range[0], range[1]));
+    }
+    drawTemporalControls();
+    return true;
+}
+
+/**
+* Network as of the slider: the entities reports in range name,
+* and links between them with a supporting report in range.
+* @param network Object with nodes and links.
+* @returns Object with nodes and links.
+**/
+function getNetworkAt({ nodes, links }) {
+    const [start, end] = getTemporalRange();
+    const inRange = new Set(allReports.filter(r => r.date && r.date >= start && r.date <= end).map(r => r.id));
+    const named = id => [...(reportIndex.byEntity.get(id) || [])].some(reportId => inRange.has(reportId));
+    const shown = nodes.filter(n => named(n.id));
+    // a projection link's report may name one end only
+    const ids = new Set(shown.map(n => n.id));
+    return {
+        nodes: shown,
+        links: links.filter(l => ids.has(nodeId(l.source)) && ids.has(nodeId(l.target)) && l.reportIds.some(id => inRange.has(id))),
+    };
+}
+
+/**
+* Shows time slider state in its controls.
+**/
+function drawTemporalControls() {
+    const { on, mode, time, windowDays, domain, timer } = temporalView;
+    const dated = domain[0] !== undefined;
+    const slider = document.getElementById("temporal-slider");
+    const toggle = document.getElementById("temporal-toggle");
+
+    toggle.checked = on;
+    toggle.disabled = !dated;
+    slider.disabled = !on;
+    document.getElementById("temporal-play").disabled = !on;
+    document.getElementById("temporal-mode").disabled = !on;
+    document.getElementById("temporal-window").disabled = !on || mode !== 'window';
+    document.getElementById("temporal-play").textContent = timer ? 'Pause' : 'Play';
+    document.getElementById("temporal-mode").value = mode;
+    document.getElementById("temporal-window").value = windowDays;
+
+    if (!dated) return;
+    slider.max = d3.timeDay.count(domain[0], domain[1]);
+    slider.value = on ? d3.timeDay.count(domain[0], time) : slider.max;
+    document.getElementById("temporal-date").textContent = on ? d3.timeFormat('%b %d, %Y')(time) : '';
+}
+
+/**
+* Rings starred nodes, dashes the ones with notes or tags.
+**/
+function markAnnotatedNodes() {
+    networkSvg.selectAll('.node-group')
+        .classed('starred', d => !!annotations.nodes[d.id]?.starred)
+        .classed('annotated', d => !!annotations.nodes[d.id] && !annotations.nodes[d.id].starred);
+}
+
+/**
+* Downloads starred reports, every annotation and the network
+* selection as one JSON file.
+**/
+function exportCaseFile() {
+    const { entity, link, tag } = currentFilters;
+    const caseFile = buildCaseFile(annotations, allReports, { entity, link, tag });
+    downloadFile(caseFile, 'case-file.json', 'application/json');
+}
+
+/**
+* Loads a case file: merges its annotations, adds starred reports
+* this dataset lacks and restores the selection.
+* @param file Case file from the picker.
+**/
+async function importCaseFile(file) {
+    let caseFile;
+    try {
+        caseFile = readCaseFile(await file.text());
+    } catch (error) {
+        alert(`Could not read ${file.name}: ${error.message}`);
+        return;
+    }
+    mergeAnnotations(annotations, caseFile.annotations);
+    saveAnnotations(annotations);
+
+    // starred reports from another dataset come in as a JSON source
+    const loaded = new Set(allReports.map(r => r.id));
+    const missing = caseFile.reports.filter(r => !loaded.has(r.id));
+    if (missing.length) {
+        addSource({
+            name: file.name,
+            format: 'json',
+            text: JSON.stringify(missing),
+            mapping: guessColumnMapping(REPORT_FIELDS.map(f => f.key)),
+        });
+        await reloadDataset();
+    }
+    markAnnotatedNodes();
+
+    // selection may be from another dataset, keep what this network has
+    const { entity, link, tag } = caseFile.selection;
+    currentFilters.entity = vizData.network.nodes.some(n => n.id === entity) ? entity : null;
+    currentFilters.link = findLinkFilter(link);
+    currentFilters.tag = tag;
+    updateDashboard();
+}
+
+/**
+* Runs a query and sets it as the search filter.
+* @param query Query string, throws if it doesn't parse.
+**/
+function applySearch(query) {
+    const tree = parseQuery(query);
+    searchResults = { tree, scores: searchReports(searchIndex, tree), highlights: getHighlightTerms(tree) };
+    currentFilters.search = query;
+}
+
+/**
+* Hooks up search box, runs query on submit.
+**/
+function initSearchControls() {
+    const input = document.getElementById("search-input");
+    const errorEl = document.getElementById("search-error");
+
+    document.getElementById("search-form").addEventListener('submit', (e) => {
+        e.preventDefault();
+        const query = input.value.trim();
+        if (!query) {
+            removeFilter('search');
+            return;
+        }
+        try {
+            applySearch(query);
+            errorEl.textContent = '';
+        } catch (error) {
+            // bad query keeps the previous results
+            errorEl.textContent = error.message;
+            return;
+        }
+        updateDashboard();
+    });
+
+    document.getElementById("search-clear").addEventListener('click', () => removeFilter('search'));
+}
+
+/**
+* Empties search box and drops results, caller updates dashboard.
+**/
+function clearSearch() {
+    currentFilters.search = null;
+    searchResults = null;
+    document.getElementById("search-input").value = '';
+    document.getElementById("search-error").textContent = '';
+}
+
+/**
+* Draws directed report citation graph.
+* @param citationData Object with {nodes, links} arrays.
+**/
+function drawCitationGraph({ nodes, links }) {
+    const container = document.getElementById('citation-graph');
+    const width = container.clientWidth;
+    const height = 300;
+
+    if (citationSimulation) citationSimulation.stop();
+    citationSvg.selectAll("*").remove();
+    citationSvg.attr('viewBox', [0, 0, width, height]);
+
+    if (nodes.length === 0) {
+        citationSvg.append("text")
+            .attr("class", "empty-label")
+            .attr("x", width / 2)
+            .attr("y", height / 2)
+            .attr("text-anchor", "middle")
+            .text("No report references in this dataset.");
+        return;
+    }
+
+    // arrow heads, pointing at the cited report
+    citationSvg.append("defs")
+        .selectAll("marker")
+        .data(["citation-arrow", "citation-arrow-dangling"])
+        .join("marker")
+        .attr("id", d => d)
+        .attr("viewBox", "0 -5 10 10")
+        .attr("refX", 18)
+        .attr("markerWidth", 6)
+        .attr("markerHeight", 6)
+        .attr("orient", "auto")
+        .append("path")
+        .attr("class", d => d)
+        .attr("d", "M0,-5L10,0L0,5");
+
+    const simulation = citationSimulation = d3.forceSimulation(nodes)
+        .force("link", d3.forceLink(links).id(d => d.id).distance(40))
+        .force("charge", d3.forceManyBody().strength(-60))
+        .force("x", d3.forceX(width / 2).strength(0.08))
+        .force("y", d3.forceY(height / 2).strength(0.12));
+
+    const link = citationSvg.append("g")
+        .selectAll("line")
+        .data(links)
+        .join("line")
+        .attr("class", d => `citation-link${d.dangling ? ' dangling' : ''}`)
+        .attr("marker-end", d => `url(#citation-arrow${d.dangling ? '-dangling' : ''})`);
+
+    const node = citationSvg.append("g")
+        .selectAll("g")
+        .data(nodes)
+        .join("g")
+        .attr("class", d => `citation-node${d.dangling ? ' dangling' : ''}`)
+        .on("click", (event, d) => { if (!d.dangling) selectCitation(d.id); });
+
+    node.append("circle").attr("r", 6);
+    node.append("text")
+        .attr("x", 9)
+        .attr("y", 3)
+        .text(d => d.id);
+    node.append("title")
+        .text(d => d.dangling ? `${d.id}: referenced but not in dataset` : d.id);
+
+    simulation.on("tick", () => {
+        // keep inside the panel
+        nodes.forEach(d => {
+            d.x = Math.max(10, Math.min(width - 40, d.x));
+            d.y = Math.max(10, Math.min(height - 10, d.y));
+        });
+        link
+            .attr("x1", d => d.source.x)
+            .attr("y1", d => d.source.y)
+            .attr("x2", d => d.target.x)
+            .attr("y2", d => d.target.y);
+        node.attr("transform", d => `translate(${d.x},${d.y})`);
+    });
+}
+
+/**
+* Toggles citation chain filter for a report.
+* @param reportId ID of report to follow.
+**/
+function selectCitation(reportId) {
+    currentFilters.citation = (currentFilters.citation === reportId) ? null : reportId;
+    updateDashboard();
+
+    // bring the report into view
+    const card = showReportCard(reportId);
+    if (card && currentFilters.citation) flashReportCard(card);
+}
+
+/**
+* Highlights citation chain of a report and lists it.
+* @param reportId Selected report ID or null.
+**/
+function highlightCitations(reportId) {
+    const nodes = citationSvg.selectAll('.citation-node');
+    const links = citationSvg.selectAll('.citation-link');
+
+    if (!reportId) {
+        nodes.classed('upstream downstream selected', false).style('opacity', 1);
+        links.classed('upstream downstream', false).style('opacity', 1);
+        citationChainEl.innerHTML = 'Click a report to trace what it cites and what cites it.';
+        return;
+    }
+
+    const { cites, citedBy } = getCitationChain(allReports, reportId);
+    const upstream = new Set(cites);
+    const downstream = new Set(citedBy);
+    const inChain = id => id === reportId || upstream.has(id) || downstream.has(id);
+
+    nodes
+        .classed('selected', d => d.id === reportId)
+        .classed('upstream', d => upstream.has(d.id))
+        .classed('downstream', d => downstream.has(d.id))
+        .style('opacity', d => inChain(d.id) ? 1 : 0.2);
+    links
+        .classed('upstream', d => inChain(d.source.id) && upstream.has(d.target.id))
+        .classed('downstream', d => downstream.has(d.source.id) && inChain(d.target.id))
+        .style('opacity', d => inChain(d.source.id) && inChain(d.target.id) ? 1 : 0.1);
+
+    const list = ids => ids.length ? escapeHtml(ids.join(', ')) : 'none';
+    citationChainEl.innerHTML = `
+        <div><span class="font-semibold text-white">${escapeHtml(reportId)}</span></div>
+        <div><span class="chain-label upstream">Cites:</span> ${list(cites)}</div>
+        <div><span class="chain-label downstream">Cited by:</span> ${list(citedBy)}</div>
+    `;
+}
+
+/**
+* Swaps in new alias map, re-resolves persons and rebuilds the network live.
+* @param nextMap New alias map.
+**/
+function applyAliasMap(nextMap) {
+    aliasMap = nextMap;
+    saveAliasMap(aliasMap);
+
+    // selected entity might have been merged away
+    if (currentFilters.entity) {
+        currentFilters.entity = aliasMap[currentFilters.entity] || currentFilters.entity;
+    }
+    refreshEntities();
+}
+
+/**
+* Rebuilds lookups that hang off report entities: filter indexes,
+* entity highlighting and the search index.
+**/
+function indexReports() {
+    reportIndex = buildReportIndex(allReports);
+    entityRegex = null;
+
+    // person: qualifier searches resolved names too
+    searchIndex = buildSearchIndex(allReports);
+    if (searchResults) searchResults.scores = searchReports(searchIndex, searchResults.tree);
+}
+
+/**
+* Re-derives everything that hangs off report entities in the worker:
+* resolved persons, dictionary, untagged mentions and network, then
+* the search index, and redraws network and entity views live.
+* after alias edits or newly tagged mentions.
+**/
+async function refreshEntities() {
+    const request = ++latestRequest.entities;
+    latestRequest.network++; // a view built on the old entities is of no use
+    const reports = allReports;
+    const view = { ...networkView };
+    const result = await rebuildEntities(reports, aliasMap, mentionDecisions.dismissed, view);
+    // newer edit on the way, or another dataset loaded meanwhile
+    if (request !== latestRequest.entities || reports !== allReports) return;
+
+    ({ allReports, allEntities } = result);
+    vizData.network = result.network;
+    indexReports();
+    // view changed while this was on the way
+    if (JSON.stringify(view) !== JSON.stringify(networkView)) rebuildNetworkView();
+    refreshNetwork();
+    drawTimeline(vizData.timelineData, vizData.eventTimelineData); // lanes follow the entities
+    drawAliasManager();
+    updateDashboard();
+}
+
+/**
+* Redraws network views after the network was rebuilt.
+**/
+function refreshNetwork() {
+    // clicked edge or found paths might not exist anymore, weights might have grown
+    currentFilters.link = null;
+    clearConnectionPaths();
+    const slider = document.getElementById("link-weight-slider");
+    slider.max = d3.max(vizData.network.links, l => l.weight) || 1;
+    slider.value = minLinkWeight = Math.min(minLinkWeight, +slider.max);
+    document.getElementById("link-weight-value").innerText = minLinkWeight;
+
+    redrawNetwork();
+    drawNetworkLegend();
+    drawKeyPlayers();
+    updateEntityOptions();
+}
+
+/**
+* Draws current mappings and merge suggestions.
+**/
+function drawAliasManager() {
+    // current mappings, grouped by canonical name
+    const mappings = Object.entries(aliasMap)
+        .map(([alias, canonical]) => ({ alias, canonical }))
+        .sort((a, b) => a.canonical.localeCompare(b.canonical) || a.alias.localeCompare(b.alias));
+
+    d3.select(aliasListEl)
+        .selectAll(".alias-row")
+        .data(mappings, d => d.alias)
+        .join(enter => {
+            const row = enter.append("li").attr("class", "alias-row");
+            row.append("span").attr("class", "alias-text");
+            row.append("button")
+                .attr("class", "alias-action alias-split")
+                .attr("title", "Split this alias back into its own entity")
+                .text("Split")
+                .on("click", (event, d) => applyAliasMap(removeAlias(aliasMap, d.alias)));
+            return row;
+        })
+        .select(".alias-text")
+        .html(d => `${escapeHtml(d.alias)} <span class="alias-arrow">&rarr;</span> ${escapeHtml(d.canonical)}`);
+
+    drawAliasSuggestions();
+}
+
+/**
+* Lists suggested merges, found in the worker.
+**/
+async function drawAliasSuggestions() {
+    const request = ++latestRequest.suggestions;
+    const suggestions = await findAliasSuggestions(allReports, aliasMap, rejectedAliases);
+    if (request !== latestRequest.suggestions) return;
+    d3.select(aliasSuggestionsEl)
+        .selectAll(".alias-row")
+        .data(suggestions, d => pairKey(d.alias, d.canonical))
+        .join(enter => {
+            const row = enter.append("li").attr("class", "alias-row");
+            row.append("span").attr("class", "alias-text");
+            row.append("button")
+                .attr("class", "alias-action alias-accept")
+                .text("Accept")
+                .on("click", (event, d) => applyAliasMap(addAlias(aliasMap, d.alias, d.canonical)));
+            row.append("button")
+                .attr("class", "alias-action alias-reject")
+                .text("Reject")
+                .on("click", (event, d) => {
+                    rejectedAliases.add(pairKey(d.alias, d.canonical));
+                    saveRejectedPairs(rejectedAliases);
+                    drawAliasManager();
+                });
+            return row;
+        })
+        .select(".alias-text")
+        .html(d => `${escapeHtml(d.alias)} <span class="alias-arrow">&rarr;</span> ${escapeHtml(d.canonical)}
+            <span class="alias-score">${Math.round(d.score * 100)}% &middot; ${escapeHtml(d.reasons.join(', '))}</span>`);
+
+    document.getElementById("alias-suggestion-count").innerText = suggestions.length;
+}
+
+/**
+* Hooks up add, import, export and reset controls of alias manager.
+**/
+function initAliasControls() {
+    const aliasInput = document.getElementById("alias-input");
+    const canonicalInput = document.getElementById("alias-canonical-input");
+    const importInput = document.getElementById("alias-import-input");
+
+    // manual mapping
+    document.getElementById("alias-add-form").addEventListener('submit', (e) => {
+        e.preventDefault();
+        const alias = aliasInput.value.trim();
+        const canonical = canonicalInput.value.trim();
+        if (!alias || !canonical || alias === canonical) return;
+        aliasInput.value = '';
+        canonicalInput.value = '';
+        applyAliasMap(addAlias(aliasMap, alias, canonical));
+    });
+
+    // import replaces the whole map
+    document.getElementById("alias-import-button").addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        try {
+            applyAliasMap(parseAliasJson(await file.text()));
+        } catch (error) {
+            console.error("Failed to import alias map:", error);
+            alert(`Could not import alias map: ${error.message}`);
+        }
+    });
+
+    document.getElementById("alias-export-button").addEventListener('click', () => {
+        downloadFile(aliasMapToJson(aliasMap), 'alias-map.json', 'application/json');
+    });
+
+    // back to the default map, forget rejections too
+    document.getElementById("alias-reset-button").addEventListener('click', () => {
+        if (!confirm("Replace your alias map with the defaults?")) return;
+        rejectedAliases = new Set();
+        saveRejectedPairs(rejectedAliases);
+        applyAliasMap(resetAliasMap());
+    });
+}
+
+// start application
+document.addEventListener('DOMContentLoaded', initializeDashboard);
@@ -1,256 +1,1002 @@
-/******************************************************************
-* data-processor.js
-* Responsible for fetching and processing raw dataset.txt file.
-******************************************************************/
-
-/**
-* Hardcoded map to resolve aliases.
-**/
-export const ALIAS_MAP = {
-    "Abu Hafs": "Abdillah Zinedine",
-    "Mehdi Rafiki": "Abdillah Zinedine",
-    "Fr. Augustin Dominique": "Abdal al Hawsawi",
-    "Omar Blakely": "Rifai Qasim",
-    "Ronald": "Satam Derwish",
-    "R. Derwish": "Satam Derwish",
-    "Ronald Derwish": "Satam Derwish",
-    "Ralph Bean": "Raeed Beandali",
-    "Reginald Cooper": "Mahmud al-Dahab",
-    "Boris": "Boris Bugarov",
-    "Pyotr": "Pyotr Sofrygin",
-    "Sofrygin": "Pyotr Sofrygin",
-    "A. Somad": "Abu Somad",
-    "Y. Bafaba": "Yazid Bafaba",
-    "Hafs or Halfs": "Abdillah Zinedine", 
-    "al Quso": "Jamal al Quso",
-    "Dr. Badawi": "Fahd al Badawi",
-    "Yasir Salman": "Saeed Hasham",
-    "Hamid Qatada": "Saeed Hasham",
-};
-
-/**
-* Main function to fetch, parse, and process data.
-* @returns Promise that resolves to object
-* containing reports and data for visuals.
-**/
-export async function getProcessedData() {
-    // fetch text
-    const response = await fetch('dataset.txt');
-    const rawText = await response.text();
-    
-    // run parsing and cleaning 
-    let reports = parseRawData(rawText);
-    reports = resolveEntities(reports);
-    reports = cleanPlaceData(reports);
-
-    // generate structures for visualizations
-    const allEntities = getAllEntities(reports);
-    const network = generateNetworkData(reports, allEntities);
-    const locationCounts = generateLocationData(reports);
-    const timelineData = generateTimelineData(reports);
-
-    return {
-        allReports: reports,
-        allEntities: allEntities,
-        vizData: {
-            network,
-            locationCounts,
-            timelineData,
-        }
-    };
-}
-
-/**
-* Parses raw dataset.txt into object array.
-* @param rawText String content from the file.
-* @returns Array of report objects.
-**/
-function parseRawData(rawText) {
-    const reports = [];
-
-    // split reports by 'REPORT' keyword
-    const reportBlocks = rawText.split('REPORT\n').filter(Boolean);
-
-    for (const block of reportBlocks) {
-        const report = {};
-        let currentField = null;
-        let content = [];
-
-        const lines = block.split('\n');
-        for (const line of lines) {
-            // catch all '[HEADER]:' in REPORT block
-            const match = line.match(/^([A-Z]+):\s*(.*)/);
-            if (match) {
-                // if on a new field, save old one
-                if (currentField) {
-                    report[currentField.toLowerCase()] = content.join(' ').trim();
-                }
-                
-                // start new field
-                currentField = match[1];
-                content = [match[2]];
-            } else if (currentField) {
-                // adding to the current field
-                content.push(line);
-            }
-        }
-        // save last field
-        if (currentField) {
-            report[currentField.toLowerCase()] = content.join(' ').trim();
-        }
-
-        // clean fields
-        if (report.id) {
-            let dateString = report.reportdate;
-
-if (dateString) {
-    // replace date blanks with '1' because '0' sets it to the previous date
-    dateString = dateString.replace(/(\d+)\/\s+\/(\d{4})/, '$1/1/$2');
-    dateString = dateString.replace(/\s+\/\s+\/(\d{4})/, '1/1/$1');
-}
-
-// parse cleaned string
-const d = new Date(dateString);
-
-// check if date is valid. assign if original wasn't empty AND date valid.
-            report.date = dateString && !isNaN(d.getTime()) ? d : null;
-            report.persons = report.persons ? report.persons.split(';').map(s => s.trim()).filter(Boolean) : [];
-            report.places = report.places ? report.places.split(';').map(s => s.trim()).filter(Boolean) : [];
-            report.organizations = report.organizations ? report.organizations.split(';').map(s => s.trim()).filter(Boolean) : [];
-            reports.push(report);
-        }
-    }
-    return reports;
-}
-
-/**
-* Resolves aliases in PERSONS field.
-* @param reports Array of parsed reports.
-* @returns Reports array with 'persons_resolved' field.
-**/
-function resolveEntities(reports) {
-    return reports.map(report => {
-        report.persons_resolved = report.persons.map(person => ALIAS_MAP[person] || person);
-        return report;
-    });
-}
-
-/**
-* Creates 'places_clean' field for filtering.
-* uses heuristic to extract the city/main location.
-* @param reports Array of parsed reports.
-* @returns Reports array with 'places_clean' field.
-**/
-function cleanPlaceData(reports) {
-    return reports.map(report => {
-        report.places_clean = report.places.map(place => {
-            const parts = place.split('/').map(s => s.trim()).filter(Boolean);
-            if (parts.length === 0) return 'Unknown';
-            // break down to city
-            if (parts.length > 2) return parts[parts.length - 3];
-            if (parts.length === 2) return parts[0];
-            return parts[0];
-        }).filter(Boolean);
-        return report;
-    });
-}
-
-/**
-* Makes master list of unique people and orgs.
-* @param reports Array of processed reports.
-* @returns Object with `persons` and `organizations` sets.
-**/
-function getAllEntities(reports) {
-    const persons = new Set();
-    const organizations = new Set();
-    reports.forEach(r => {
-        r.persons_resolved.forEach(p => persons.add(p));
-        r.organizations.forEach(o => organizations.add(o));
-    });
-    return { persons, organizations };
-}
-
-/**
-* Generates node and link data for force-directed graph.
-* @param reports Array of processed reports.
-* @param allEntities Sets of all persons and orgs.
-* @returns Object with `nodes` and `links` arrays.
-**/
-function generateNetworkData(reports, allEntities) {
-    // all entities to single node array
-    const nodes = [
-        ...[...allEntities.persons].map(p => ({ id: p, type: 'person' })),
-        ...[...allEntities.organizations].map(o => ({ id: o, type: 'organization' }))
-    ];
-
-    const links = [];
-    const linkSet = new Set(); // prevent dups
-
-    for (const report of reports) {
-        // combine nodes into report
-        const entitiesInReport = [
-            ...report.persons_resolved,
-            ...report.organizations
-        ];
-
-        // links between EVERYTHING to prevent free floating 
-        for (let i = 0; i < entitiesInReport.length; i++) {
-            for (let j = i + 1; j < entitiesInReport.length; j++) {
-                const source = entitiesInReport[i];
-                const target = entitiesInReport[j];
-                
-                // sorted key for dups
-                const key = [source, target].sort().join('|');
-                if (!linkSet.has(key) && source !== target) {
-                    links.push({ source, target, reportId: report.id });
-                    linkSet.add(key);
-                }
-            }
-        }
-    }
-    
-    return { nodes, links };
-}
-
-/**
-* Generates sorted data for location bar chart.
-* @param reports Array of processed reports.
-* @returns Sorted array of {location, count} objects.
-**/
-function generateLocationData(reports) {
-    const counts = new Map();
-    for (const report of reports) {
-        for (const location of report.places_clean) {
-            if (location !== 'Unknown') {
-                counts.set(location, (counts.get(location) || 0) + 1);
-            }
-        }
-    }
-    
-    //convert to array and sort for scale map
-    return Array.from(counts, ([location, count]) => ({ location, count }))
-        .sort((a, b) => b.count - a.count);
-}
-
-/**
-* Generates/populates bins timeline chart.
-* @param reports Array of processed reports.
-* @returns Array of {date, count} objects binned by month.
-**/
-function generateTimelineData(reports) {
-    const counts = new Map();
-    for (const report of reports) {
-        if (report.date) {
-            const monthKey = report.date.toISOString().slice(0, 7); // "YYYY-MM" for bins
-            counts.set(monthKey, (counts.get(monthKey) || 0) + 1);
-        }
-    }
-
-    // convert back to Dates for timeline use 
-    return Array.from(counts, ([dateStr, count]) => ({
-        date: new Date(dateStr + '-01'), 
-        count
-    })).sort((a, b) => a.date - b.date);
-}
-
-
+/******************************************************************
+* data-processor.js
+* Responsible for parsing and processing raw dataset.txt file.
+******************************************************************/
+import { computeNetworkMetrics, nodeId } from './network-analytics.js';
+import { extractMentions } from './entity-extractor.js';
+
+/**
+* Default map to resolve aliases.
+* analysts can edit their own copy in the alias manager.
+**/
+export const ALIAS_MAP = {
+    "Abu Hafs": "Abdillah Zinedine",
+    "Mehdi Rafiki": "Abdillah Zinedine",
+    "Fr. Augustin Dominique": "Abdal al Hawsawi",
+    "Omar Blakely": "Rifai Qasim",
+    "Ronald": "Satam Derwish",
+    "R. Derwish": "Satam Derwish",
+    "Ronald Derwish": "Satam Derwish",
+    "Ralph Bean": "Raeed Beandali",
+    "Reginald Cooper": "Mahmud al-Dahab",
+    "Boris": "Boris Bugarov",
+    "Pyotr": "Pyotr Sofrygin",
+    "Sofrygin": "Pyotr Sofrygin",
+    "A. Somad": "Abu Somad",
+    "Y. Bafaba": "Yazid Bafaba",
+    "Hafs or Halfs": "Abdillah Zinedine", 
+    "al Quso": "Jamal al Quso",
+    "Dr. Badawi": "Fahd al Badawi",
+    "Yasir Salman": "Saeed Hasham",
+    "Hamid Qatada": "Saeed Hasham",
+};
+
+/**
+* Runs cleaning and builds every visual structure from parsed reports.
+* no fetch or DOM, so it runs in Node as well (see cli.js).
+* @param reports Array from parseRawData, several files can be concatenated.
+* @param aliasMap Alias map to resolve persons with.
+* @param dismissed Object of report id -> mention keys the analyst dismissed.
+* @param view Object {network, binning}: network view options for
+* generateNetworkData and timeline binning, defaults to the dashboard's.
+* @returns Object containing reports and data for visuals.
+**/
+export function processReports(reports, aliasMap = ALIAS_MAP, dismissed = {}, view = {}) {
+    const { network: networkView = {}, binning = 'month' } = view;
+
+    // run cleaning
+    reports = resolveEntities(reports, aliasMap);
+    reports = cleanPlaceData(reports);
+    reports = linkReferences(reports);
+
+    // generate structures for visualizations
+    const allEntities = getAllEntities(reports);
+    reports = extractMentions(reports, allEntities, dismissed);
+    const network = generateNetworkData(reports, allEntities, { ...networkView, aliasMap });
+    const locationTree = generateLocationData(reports);
+    const timelineData = generateTimelineData(reports, binning);
+    const eventTimelineData = generateEventTimelineData(reports, binning);
+    const citations = generateCitationData(reports);
+
+    return {
+        allReports: reports,
+        allEntities: allEntities,
+        vizData: {
+            network,
+            locationTree,
+            timelineData,
+            eventTimelineData,
+            citations,
+        }
+    };
+}
+
+// fields the dashboard reads, anything else is kept but flagged
+const KNOWN_FIELDS = ['ID', 'REPORTDATE', 'REFERENCEID', 'REPORTSOURCE', 'REPORTDESCRIPTION', 'PERSONS', 'DATES', 'PLACES', 'ORGANIZATIONS'];
+
+// name parts too common to tell whether a person is in the text
+const NAME_FILLER = new Set(['al', 'el', 'abu', 'bin', 'ibn', 'de', 'la', 'van', 'der', 'or', 'mr', 'mrs', 'dr', 'fr']);
+
+/**
+* Parses raw dataset.txt into object array.
+* @param rawText String content from the file.
+* @param diagnostics Optional array, gets a diagnostic (see addDiagnostic)
+* for every block that couldn't be read and every questionable field.
+* @param origin File name the text came from, kept on each report.
+* @returns Array of report objects, first one of each ID.
+**/
+export function parseRawData(rawText, diagnostics = [], origin = 'dataset.txt') {
+    const reports = [];
+    const firstLines = new Map(); // report id -> line it was first seen on
+
+    // split reports by 'REPORT' keyword, windows line endings too
+    const reportBlocks = rawText.replace(/\r\n?/g, '\n').split('REPORT\n');
+    let lineNumber = 1; // first line of current block, for diagnostics
+
+    for (const [index, block] of reportBlocks.entries()) {
+        if (index > 0) lineNumber++; // the REPORT line itself
+        const blockStart = lineNumber;
+        lineNumber += block.split('\n').length - 1;
+        if (!block.trim()) continue;
+
+        const report = {};
+        const fieldLines = {}; // lowercase field -> line number
+        const pending = []; // problems found before the ID is known
+        let currentField = null;
+        let content = [];
+
+        const lines = block.split('\n');
+        for (const [offset, line] of lines.entries()) {
+            const lineNo = blockStart + offset;
+            // catch all '[HEADER]:' in REPORT block
+            const match = line.match(/^([A-Z]+):\s*(.*)/);
+            if (match) {
+                // if on a new field, save old one
+                if (currentField) {
+                    report[currentField.toLowerCase()] = content.join(' ').trim();
+                }
+                
+                // start new field
+                currentField = match[1];
+                content = [match[2]];
+                fieldLines[currentField.toLowerCase()] = lineNo;
+                if (!KNOWN_FIELDS.includes(currentField)) {
+                    pending.push({ severity: 'warning', code: 'unknown-field', line: lineNo, field: currentField, problem: `Unknown field ${currentField}, ignored by the dashboard.` });
+                }
+            } else if (currentField) {
+                // adding to the current field
+                content.push(line);
+                // 'Places:' or 'PLACES2:' read as text of the field above
+                const header = line.match(/^([A-Za-z][A-Za-z0-9]*):/);
+                if (header) {
+                    pending.push({ severity: 'warning', code: 'header-like', line: lineNo, field: currentField, problem: `"${header[1]}:" looks like a field header but isn't all capitals, read as part of ${currentField}.` });
+                }
+            } else if (line.trim()) {
+                pending.push({ severity: 'error', code: 'stray-text', line: lineNo, field: null, problem: `Text outside any field: "${line.trim().slice(0, 40)}"` });
+            }
+        }
+        // save last field
+        if (currentField) {
+            report[currentField.toLowerCase()] = content.join(' ').trim();
+        }
+
+        const reportId = report.id || null;
+        for (const item of pending) addDiagnostic(diagnostics, { origin, reportId, ...item });
+
+        if (reportId) {
+            if (firstLines.has(reportId)) {
+                addDiagnostic(diagnostics, {
+                    severity: 'warning', code: 'duplicate-id', origin, reportId, line: fieldLines.id, field: 'ID',
+                    problem: `Duplicate ID, first seen on line ${firstLines.get(reportId)}. Only the first one is loaded.`,
+                });
+                continue;
+            }
+            firstLines.set(reportId, fieldLines.id);
+            reports.push(buildReport(report, origin, diagnostics, fieldLines));
+        } else if (currentField) {
+            addDiagnostic(diagnostics, { severity: 'error', code: 'no-id', origin, reportId, line: blockStart, field: 'ID', problem: 'Report has no ID field, skipped.' });
+        }
+    }
+    return reports;
+}
+
+/**
+* Adds a diagnostic in the shape the data quality panel and cli read.
+* @param diagnostics Array to add to.
+* @param diagnostic Object with `severity` ('error' lost data, 'warning'
+* or 'info'), `code` (kind of problem), `origin` (file), `reportId`,
+* `line`, `field` (dataset field name) and `problem` (message).
+**/
+export function addDiagnostic(diagnostics, { severity, code, origin, reportId = null, line = null, field = null, problem }) {
+    diagnostics.push({ severity, code, origin, reportId, line, field, problem });
+}
+
+/**
+* Cleans raw field strings into a report, shared by every input format.
+* @param fields Object of lowercase field name -> text, list fields ';' separated.
+* @param origin File name the report came from.
+* @param diagnostics Optional array, gets questionable fields.
+* @param fieldLines Optional object of lowercase field name -> line number.
+* @returns Report object.
+**/
+export function buildReport(fields, origin, diagnostics = [], fieldLines = {}) {
+    const report = { ...fields, origin };
+    const splitList = text => text ? text.split(';').map(s => s.trim()).filter(Boolean) : [];
+
+    report.date = parseDate(report.reportdate);
+    // when the events happened, not when it was filed
+    report.event_dates = splitList(report.dates).map(parseDate).filter(Boolean);
+    report.event_lag = getEventLag(report.date, report.event_dates);
+    report.persons = splitList(report.persons);
+    report.places = splitList(report.places);
+    report.organizations = splitList(report.organizations);
+    report.references = splitList(report.referenceid);
+    report.identifiers = []; // {kind, value} tags accepted from untagged mentions
+    report.agency = getAgency(report.id);
+    report.reportsource = (report.reportsource || '').trim();
+
+    checkReport(report, splitList(fields.dates), (field, severity, code, problem) => addDiagnostic(diagnostics, {
+        severity, code, origin, reportId: report.id, line: fieldLines[field.toLowerCase()] ?? fieldLines.id ?? null, field, problem,
+    }));
+    return report;
+}
+
+/**
+* Looks for fields that parsed but probably not as meant.
+* @param report Report from buildReport.
+* @param dates Raw DATES entries.
+* @param flag Function (field, severity, code, problem).
+**/
+function checkReport(report, dates, flag) {
+    const checkDate = (field, text) => {
+        const problem = getDateProblem(text);
+        if (problem === 'invalid') {
+            flag(field, 'warning', 'invalid-date', `Can't read date "${text.trim()}", left out.`);
+        } else if (problem === 'rolled') {
+            flag(field, 'warning', 'invalid-date', `"${text.trim()}" is not a real date, read as ${formatDate(parseDate(text))}.`);
+        } else if (problem === 'partial') {
+            flag(field, 'info', 'partial-date', `Partial date "${text.trim()}", read as ${formatDate(parseDate(text))}.`);
+        }
+    };
+
+    if (report.reportdate?.trim()) checkDate('REPORTDATE', report.reportdate);
+    else flag('REPORTDATE', 'warning', 'invalid-date', 'No report date, left off the timeline.');
+    for (const date of dates) checkDate('DATES', date);
+
+    // planned or misdated, either way not a reporting gap
+    if (report.event_lag < 0) {
+        const days = -report.event_lag;
+        flag('DATES', 'info', 'event-after-filing', `Event dated ${days} day${days === 1 ? '' : 's'} after the report was filed, planned or misdated.`);
+    }
+
+    const text = (report.reportdescription || '').toLowerCase();
+    if (!text.trim()) {
+        flag('REPORTDESCRIPTION', 'warning', 'empty-description', 'Empty description.');
+        return;
+    }
+
+    // no word of the name in the text, likely tagged on the wrong report
+    const words = new Set(text.split(/[^a-z']+/));
+    for (const person of report.persons) {
+        const parts = person.toLowerCase().split(/[^a-z']+/).filter(p => p.length > 1 && !NAME_FILLER.has(p));
+        if (parts.length && !parts.some(p => words.has(p))) {
+            flag('PERSONS', 'warning', 'person-not-in-text', `"${person}" never appears in the description.`);
+        }
+    }
+}
+
+/**
+* What's off about a date string, see parseDate.
+* @param dateString Raw date string.
+* @returns 'invalid', 'rolled' (e.g. 2/30, read as March), 'partial'
+* (blank day or month) or null if fine.
+**/
+function getDateProblem(dateString) {
+    const date = parseDate(dateString);
+    if (!date) return 'invalid';
+    const trimmed = dateString.trim();
+    const parts = trimmed.match(/^(\d+)\/(\d+)\/(\d{4})$/);
+    if (parts && (date.getMonth() + 1 !== +parts[1] || date.getDate() !== +parts[2])) return 'rolled';
+    return /^\d*\s*\/\s*\//.test(trimmed) ? 'partial' : null;
+}
+
+/**
+* M/D/YYYY like the dataset writes it.
+* @param date Date.
+**/
+function formatDate(date) {
+    return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+}
+
+/**
+* Reporting agency from the ID prefix, e.g. 'CIA' for 'CIA_12'.
+* @param id Report ID.
+* @returns Uppercase prefix, 'Other' if the ID has none.
+**/
+export function getAgency(id) {
+    const prefix = String(id).match(/^([A-Za-z]+)_/);
+    return prefix ? prefix[1].toUpperCase() : 'Other';
+}
+
+/**
+* Parses M/D/YYYY string, tolerant of blank day or month.
+* @param dateString Raw date string, e.g. '4/ /2003' or '/ /1999'.
+* @returns Date or null if empty/invalid.
+**/
+function parseDate(dateString) {
+    if (!dateString || !dateString.trim()) return null;
+
+    // replace date blanks with '1' because '0' sets it to the previous date
+    let cleaned = dateString.trim();
+    cleaned = cleaned.replace(/^(\d+)\/\s*\/(\d{4})$/, '$1/1/$2');
+    cleaned = cleaned.replace(/^\s*\/\s*\/(\d{4})$/, '1/1/$1');
+
+    // parse cleaned string, check if valid
+    const d = new Date(cleaned);
+    return !isNaN(d.getTime()) ? d : null;
+}
+
+/**
+* Days between filing and the most recent event in the report.
+* @param reportDate Date report was filed.
+* @param eventDates Dates from DATES field.
+* @returns Whole days, negative if an event is dated after filing
+* (see checkReport), null if either side is missing.
+**/
+function getEventLag(reportDate, eventDates) {
+    if (!reportDate || eventDates.length === 0) return null;
+    const latest = Math.max(...eventDates);
+    return Math.round((reportDate - latest) / (1000 * 60 * 60 * 24));
+}
+
+/**
+* Resolves aliases in PERSONS field.
+* @param reports Array of parsed reports.
+* @param aliasMap Object mapping alias -> canonical name.
+* @returns Reports array with 'persons_resolved' field.
+**/
+export function resolveEntities(reports, aliasMap = ALIAS_MAP) {
+    return reports.map(report => {
+        // dedupe, two aliases of one person can sit in the same report
+        report.persons_resolved = [...new Set(report.persons.map(person => aliasMap[person] || person))];
+        return report;
+    });
+}
+
+/**
+* Country spellings seen in PLACES mapped to one name.
+**/
+const COUNTRY_ALIASES = {
+    "Marocco": "Morocco",
+    "The Dominican Republic": "Dominican Republic",
+    "Columbia": "Colombia",
+};
+
+/**
+* Creates 'places_structured' field with address, city, region
+* and country, and 'places_clean' (city or closest level) for filtering.
+* @param reports Array of parsed reports.
+* @returns Reports array with 'places_structured' and 'places_clean' fields.
+**/
+export function cleanPlaceData(reports) {
+    reports.forEach(report => {
+        report.places_structured = report.places.map(parsePlace);
+    });
+
+    // 'Catalan Hotel/ /Madrid/Spain': a known city sitting in the region slot
+    const knownCities = new Set(reports.flatMap(r => r.places_structured.map(p => p.city)).filter(Boolean));
+    return reports.map(report => {
+        report.places_structured.forEach(place => {
+            if (!place.city && place.region && knownCities.has(place.region)) {
+                place.city = place.region;
+                place.region = '';
+            }
+        });
+        report.places_clean = report.places_structured
+            .map(p => p.city || p.region || p.country || 'Unknown');
+        return report;
+    });
+}
+
+/**
+* Splits one PLACES entry, 'address/city/region/country'.
+* blank segments stay as empty strings.
+* @param place Raw place string.
+* @returns Object with address, city, region, country and raw.
+**/
+export function parsePlace(place) {
+    let parts = place.split('/').map(s => s.trim());
+
+    // extra blank slot, e.g. '562 Fenkell Ave./ /Detroit/Michigan/USA'
+    while (parts.length > 4) {
+        const blank = parts.findIndex((part, i) => i > 0 && !part);
+        parts.splice(blank === -1 ? 1 : blank, 1);
+    }
+    // short entries keep the broad levels at the end
+    if (parts.length === 1) parts = ['', parts[0], '', ''];
+    while (parts.length < 4) parts.unshift('');
+
+    const [address, city, region, country] = parts;
+    return {
+        raw: place,
+        address,
+        city,
+        region,
+        country: COUNTRY_ALIASES[country] || country,
+    };
+}
+
+/**
+* Fills reverse side of REFERENCEID and flags dangling ones.
+* @param reports Array of parsed reports.
+* @returns Reports array with 'cited_by' and 'dangling_references' fields.
+**/
+export function linkReferences(reports) {
+    const byId = new Map(reports.map(r => [r.id, r]));
+    reports.forEach(r => { r.cited_by = []; });
+    reports.forEach(report => {
+        report.dangling_references = report.references.filter(ref => !byId.has(ref));
+        report.references
+            .filter(ref => byId.has(ref) && ref !== report.id)
+            .forEach(ref => byId.get(ref).cited_by.push(report.id));
+    });
+    return reports;
+}
+
+/**
+* Walks references both ways from a report.
+* @param reports Array of processed reports.
+* @param reportId ID to start from.
+* @returns Object with `cites` and `citedBy` arrays of IDs,
+* each in breadth-first order, start report not included.
+**/
+export function getCitationChain(reports, reportId) {
+    const byId = new Map(reports.map(r => [r.id, r]));
+    const walk = (field) => {
+        const seen = new Set([reportId]);
+        const order = [];
+        const queue = [reportId];
+        while (queue.length) {
+            const report = byId.get(queue.shift());
+            if (!report) continue; // dangling, nothing to follow
+            for (const next of report[field]) {
+                if (seen.has(next)) continue;
+                seen.add(next);
+                order.push(next);
+                queue.push(next);
+            }
+        }
+        return order;
+    };
+    return { cites: walk('references'), citedBy: walk('cited_by') };
+}
+
+/**
+* Makes master list of unique people, orgs and identifiers.
+* @param reports Array of processed reports.
+* @returns Object with `persons` and `organizations` sets,
+* and `identifiers` Map of value -> kind (phone, flight, address).
+**/
+export function getAllEntities(reports) {
+    const persons = new Set();
+    const organizations = new Set();
+    const identifiers = new Map();
+    reports.forEach(r => {
+        r.persons_resolved.forEach(p => persons.add(p));
+        r.organizations.forEach(o => organizations.add(o));
+        r.identifiers.forEach(i => identifiers.set(i.value, i.kind));
+    });
+    return { persons, organizations, identifiers };
+}
+
+/**
+* Every network entity tagged in a report.
+* @param report Processed report.
+* @returns Array of entity ids.
+**/
+export function getReportEntities(report) {
+    return [
+        ...report.persons_resolved,
+        ...report.organizations,
+        ...report.identifiers.map(i => i.value)
+    ];
+}
+
+/**
+* Network views the dashboard can switch between.
+* `types` are the node types drawn, identifier kinds count as
+* 'identifier'. co-occurrence views tie nodes named in one report,
+* `bipartite` ones only across types. projections (`via`) tie
+* nodes that share a `via` node in any report.
+**/
+export const NETWORK_MODES = {
+    entities: { label: 'People & organizations', types: ['person', 'organization', 'identifier'] },
+    tripartite: { label: 'People, organizations & places', types: ['person', 'organization', 'identifier', 'place'] },
+    'person-place': { label: 'People \u2013 places', types: ['person', 'place'], bipartite: true },
+    'people-by-place': { label: 'People by shared places', types: ['person'], via: 'place' },
+    'people-by-organization': { label: 'People by shared organizations', types: ['person'], via: 'organization' },
+    'places-by-person': { label: 'Places by shared people', types: ['place'], via: 'person' },
+};
+
+/**
+* Mode group of a node type, phones, flights and addresses are 'identifier'.
+* @param type Node type.
+**/
+export function nodeCategory(type) {
+    return ['person', 'organization', 'place', 'report'].includes(type) ? type : 'identifier';
+}
+
+/**
+* Every node a report can put in the network, in field order.
+* places are the 'places_clean' names, 'Unknown' is left out.
+* @param report Processed report.
+* @returns Array of {id, type}.
+**/
+export function getReportNodes(report) {
+    return [
+        ...report.persons_resolved.map(id => ({ id, type: 'person' })),
+        ...report.organizations.map(id => ({ id, type: 'organization' })),
+        ...report.identifiers.map(i => ({ id: i.value, type: i.kind })),
+        ...report.places_clean.filter(p => p !== 'Unknown').map(id => ({ id, type: 'place' })),
+    ];
+}
+
+// periods after these don't end a sentence (Mr. Smith, Walden Ave., U.S.)
+const ABBREVIATION = /\b(?:Mr|Mrs|Ms|Dr|Fr|St|Rd|Ave|Blvd|Jr|Sr|No|Lt|Gen|Col|Capt|Sgt|Inc|Corp|Ltd|[A-Z])\.$/;
+
+/**
+* Splits a description into sentences. an end mark counts when
+* space, the end or a capital follows ('2003].The').
+* @param text REPORTDESCRIPTION.
+* @returns Array of {start, end} offsets, covering the whole text.
+**/
+function splitSentences(text) {
+    const sentences = [];
+    let start = 0;
+    for (const match of text.matchAll(/[.!?]+["')\]]*(?=\s|$|[A-Z])/g)) {
+        const end = match.index + match[0].length;
+        if (ABBREVIATION.test(text.slice(Math.max(0, match.index - 5), match.index + 1))) continue;
+        sentences.push({ start, end });
+        start = end;
+    }
+    if (start < text.length) sentences.push({ start, end: text.length });
+    return sentences;
+}
+
+/**
+* Where nodes are named in a description. a person or organization
+* never written out in full is looked up by its distinctive words,
+* so 'Somad' finds Abu Somad.
+* @param text REPORTDESCRIPTION.
+* @param nodes Array of {id, type} from getReportNodes.
+* @param aliases Map of person -> aliases resolving to them.
+* @returns Map of node id -> sorted array of character offsets.
+**/
+function findNodeMentions(text, nodes, aliases) {
+    const find = names => [...new Set(names)].flatMap(name =>
+        [...text.matchAll(new RegExp(`(?<!\\w)${escapeRegex(name)}(?!\\w)`, 'g'))].map(m => m.index));
+
+    const mentions = new Map();
+    for (const { id, type } of nodes) {
+        const names = [id, ...(aliases.get(id) || [])];
+        let offsets = find(names);
+        if (!offsets.length && (type === 'person' || type === 'organization')) {
+            offsets = find(names.flatMap(n => n.split(/[^A-Za-z']+/))
+                .filter(word => word.length > 2 && !NAME_FILLER.has(word.toLowerCase())));
+        }
+        mentions.set(id, offsets.sort((a, b) => a - b));
+    }
+    return mentions;
+}
+
+/**
+* Pairs of a report's nodes that a link model ties together.
+* @param report Processed report.
+* @param nodes Array of {id, type} from getReportNodes.
+* @param linkModel 'report' (every pair), 'sentence' (named in one
+* sentence) or 'window' (named within `windowWords` words).
+* @param windowWords Words apart two mentions may be for 'window'.
+* @param aliases Map of person -> aliases resolving to them.
+* @returns Array of {source, target, sentence} with nodes from
+* `nodes`, sentence is the text naming both ('report' has none).
+**/
+export function getCooccurrences(report, nodes, linkModel = 'report', windowWords = 15, aliases = new Map()) {
+    const pairs = [];
+    if (linkModel === 'report') {
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) pairs.push({ source: nodes[i], target: nodes[j] });
+        }
+        return pairs;
+    }
+
+    const text = report.reportdescription || '';
+    const sentences = splitSentences(text);
+    const wordStarts = [...text.matchAll(/\S+/g)].map(m => m.index);
+    const mentions = findNodeMentions(text, nodes, aliases);
+    // every mention as its sentence and word number
+    const placed = nodes
+        .filter((n, i) => nodes.findIndex(other => other.id === n.id) === i)
+        .map(node => ({
+            node,
+            at: mentions.get(node.id).map(offset => ({
+                sentence: sentences.find(s => offset < s.end),
+                word: wordStarts.filter(start => start <= offset).length,
+            })),
+        }));
+
+    for (let i = 0; i < placed.length; i++) {
+        for (let j = i + 1; j < placed.length; j++) {
+            // closest pair of mentions that the model accepts
+            let best = null;
+            for (const a of placed[i].at) {
+                for (const b of placed[j].at) {
+                    const distance = Math.abs(a.word - b.word);
+                    const close = linkModel === 'sentence' ? a.sentence === b.sentence : distance <= windowWords;
+                    if (close && (!best || distance < best.distance)) best = { a, b, distance };
+                }
+            }
+            if (!best) continue;
+            const [first, last] = best.a.word <= best.b.word ? [best.a, best.b] : [best.b, best.a];
+            pairs.push({
+                source: placed[i].node,
+                target: placed[j].node,
+                sentence: text.slice(first.sentence.start, last.sentence.end).trim(),
+            });
+        }
+    }
+    return pairs;
+}
+
+/**
+* Escapes text for use in a RegExp.
+* @param text Any string.
+**/
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+* Generates node and link data for force-directed graph.
+* @param reports Array of processed reports.
+* @param allEntities Entities from getAllEntities.
+* @param view Object with any of `mode` (key of NETWORK_MODES),
+* `withReports` (reports become nodes, tied to what they name
+* instead of tying it together, not for projections), `linkModel`
+* and `windowWords` (see getCooccurrences) and `aliasMap` (alias
+* map persons were resolved with, finds them in the text).
+* @returns Object with `nodes` and `links` arrays,
+* nodes carry centrality and community metrics, links carry
+* every supporting `reportIds` and a `weight`, projection
+* links also the shared nodes in `via`, text model links the
+* `sentences` [{reportId, text}] that tie them.
+**/
+export function generateNetworkData(reports, allEntities, view = {}) {
+    const { mode = 'entities', withReports = false, linkModel = 'report', windowWords = 15, aliasMap = ALIAS_MAP } = view;
+    const { types, bipartite, via } = NETWORK_MODES[mode];
+    const isShown = type => types.includes(nodeCategory(type));
+    const reportNodes = withReports && !via;
+
+    // all entities to single node array, first type wins a shared name
+    const nodeMap = new Map();
+    const addNode = (id, type) => {
+        if (isShown(type) && !nodeMap.has(id)) nodeMap.set(id, { id, type });
+    };
+    allEntities.persons.forEach(p => addNode(p, 'person'));
+    allEntities.organizations.forEach(o => addNode(o, 'organization'));
+    allEntities.identifiers.forEach((kind, value) => addNode(value, kind));
+    reports.forEach(r => r.places_clean.forEach(p => p !== 'Unknown' && addNode(p, 'place')));
+    if (reportNodes) reports.forEach(r => nodeMap.set(r.id, { id: r.id, type: 'report' }));
+    const nodes = [...nodeMap.values()];
+
+    const linkMap = new Map(); // sorted key -> link, one link per pair
+    const addLink = (source, target, reportId, sentence) => {
+        // sorted key for dups
+        if (source === target) return;
+        const key = [source, target].sort().join('|');
+        if (!linkMap.has(key)) {
+            linkMap.set(key, { source, target, reportIds: [], weight: 0 });
+        }
+
+        // every report backing the tie, once each
+        const link = linkMap.get(key);
+        if (!link.reportIds.includes(reportId)) {
+            link.reportIds.push(reportId);
+            link.weight = link.reportIds.length;
+            if (sentence) link.sentences = [...(link.sentences || []), { reportId, text: sentence }];
+        }
+        return link;
+    };
+
+    if (via) {
+        // via node -> kept node -> reports putting them together
+        const members = new Map();
+        for (const report of reports) {
+            const named = getReportNodes(report);
+            for (const hub of named.filter(n => n.type === via)) {
+                if (!members.has(hub.id)) members.set(hub.id, new Map());
+                const kept = members.get(hub.id);
+                for (const n of named.filter(n => isShown(n.type) && nodeMap.has(n.id))) {
+                    if (!kept.has(n.id)) kept.set(n.id, []);
+                    kept.get(n.id).push(report.id);
+                }
+            }
+        }
+        for (const [hub, kept] of members) {
+            const entries = [...kept];
+            for (let i = 0; i < entries.length; i++) {
+                for (let j = i + 1; j < entries.length; j++) {
+                    const [source, sourceReports] = entries[i];
+                    const [target, targetReports] = entries[j];
+                    let link;
+                    for (const id of [...sourceReports, ...targetReports]) link = addLink(source, target, id);
+                    link.via = [...(link.via || []), hub];
+                }
+            }
+        }
+    } else {
+        const aliases = new Map();
+        for (const [alias, person] of Object.entries(aliasMap)) aliases.set(person, [...(aliases.get(person) || []), alias]);
+
+        for (const report of reports) {
+            // combine nodes into report
+            const inReport = getReportNodes(report).filter(n => isShown(n.type) && nodeMap.has(n.id));
+
+            if (reportNodes) {
+                inReport.forEach(n => addLink(n.id, report.id, report.id));
+                continue;
+            }
+            // report model links EVERYTHING to prevent free floating,
+            // text models only what's written close together
+            for (const { source, target, sentence } of getCooccurrences(report, inReport, linkModel, windowWords, aliases)) {
+                if (bipartite && nodeCategory(source.type) === nodeCategory(target.type)) continue;
+                addLink(source.id, target.id, report.id, sentence);
+            }
+        }
+    }
+
+    const links = [...linkMap.values()];
+
+    // which agencies report on each node, for marking and convergence
+    const nodeAgencies = new Map();
+    for (const report of reports) {
+        for (const id of [report.id, ...getReportNodes(report).map(n => n.id)]) {
+            if (!nodeAgencies.has(id)) nodeAgencies.set(id, new Set());
+            nodeAgencies.get(id).add(report.agency);
+        }
+    }
+    for (const node of nodes) {
+        node.agencies = [...(nodeAgencies.get(node.id) || [])].sort();
+    }
+
+    return computeNetworkMetrics({ nodes, links });
+}
+
+/**
+* Generates directed report -> report graph from REFERENCEID.
+* only reports that cite or are cited become nodes.
+* @param reports Array of processed reports.
+* @returns Object with `nodes` and `links` arrays, missing
+* IDs become nodes with `dangling: true`.
+**/
+export function generateCitationData(reports) {
+    const nodes = new Map();
+    const links = [];
+    for (const report of reports) {
+        for (const ref of report.references) {
+            if (ref === report.id) continue;
+            const dangling = report.dangling_references.includes(ref);
+            if (!nodes.has(report.id)) nodes.set(report.id, { id: report.id, dangling: false });
+            if (!nodes.has(ref)) nodes.set(ref, { id: ref, dangling });
+            links.push({ source: report.id, target: ref, dangling });
+        }
+    }
+    return { nodes: [...nodes.values()], links };
+}
+
+/**
+* Generates country -> region -> city tree for location chart.
+* counts are distinct reports, blank levels are ''.
+* @param reports Array of processed reports.
+* @returns Root node {name, level, path, count, children},
+* children sorted by count.
+**/
+export function generateLocationData(reports) {
+    const levels = ['country', 'region', 'city'];
+    const root = { name: 'All', level: 'all', path: [], count: 0, children: new Map(), reports: new Set() };
+
+    for (const report of reports) {
+        for (const place of report.places_structured) {
+            // skip entries with nothing but an address
+            if (!place.country && !place.region && !place.city) continue;
+
+            let node = root;
+            node.reports.add(report.id);
+            levels.forEach((level, i) => {
+                const name = place[level];
+                if (!node.children.has(name)) {
+                    node.children.set(name, {
+                        name,
+                        level,
+                        path: [...node.path, name],
+                        children: new Map(),
+                        reports: new Set(),
+                    });
+                }
+                node = node.children.get(name);
+                node.reports.add(report.id);
+            });
+        }
+    }
+
+    // convert to sorted arrays for scale map
+    const finish = node => {
+        node.count = node.reports.size;
+        delete node.reports;
+        node.children = [...node.children.values()]
+            .map(finish)
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+        return node;
+    };
+    return finish(root);
+}
+
+/**
+* Checks if a structured place sits under a location tree path.
+* @param place Object from 'places_structured'.
+* @param path Array of [country, region, city], any length.
+**/
+export function placeMatchesPath(place, path) {
+    const levels = ['country', 'region', 'city'];
+    return path.every((name, i) => place[levels[i]] === name);
+}
+
+/**
+* Index key of a location tree path.
+* @param path Array of [country, region, city], any length.
+**/
+export function placeKey(path) {
+    return path.join('/');
+}
+
+/**
+* Indexes reports by network node and by place, so filters look up
+* their reports instead of scanning every one.
+* @param reports Array of processed reports.
+* @returns Object with `byEntity` (node id of any network mode, entity,
+* place name or report id -> Set of report ids) and
+* `byPlace` (placeKey of any tree path -> Set of report ids).
+**/
+export function buildReportIndex(reports) {
+    const byEntity = new Map();
+    const byPlace = new Map();
+    const add = (index, key, id) => {
+        if (!index.has(key)) index.set(key, new Set());
+        index.get(key).add(id);
+    };
+
+    for (const report of reports) {
+        for (const { id } of getReportNodes(report)) add(byEntity, id, report.id);
+        add(byEntity, report.id, report.id);
+        // every level, so country and region picks hit too (see placeMatchesPath)
+        for (const place of report.places_structured) {
+            const path = [place.country, place.region, place.city];
+            for (let depth = 1; depth <= path.length; depth++) add(byPlace, placeKey(path.slice(0, depth)), report.id);
+        }
+    }
+    return { byEntity, byPlace };
+}
+
+/**
+* Everything the reports say about one entity, for its profile.
+* @param reports Reports naming the entity.
+* @param network Network from generateNetworkData.
+* @param aliasMap Alias map persons were resolved with.
+* @param id Entity id.
+* @returns Object with `aliases`, `firstSeen`/`lastSeen` (dated report
+* or null), `activity` (as generateTimelineData), `locations` [{path, count}],
+* `associates` [{id, type, weight, reportIds}] and `agencies` [{agency, count}],
+* lists strongest first.
+**/
+export function getEntityProfile(reports, network, aliasMap, id) {
+    const dated = reports.filter(r => r.date).sort((a, b) => a.date - b.date);
+    const byCount = (a, b) => b.count - a.count;
+
+    // deepest level of each place, a report counts once per place
+    const locations = new Map();
+    for (const report of reports) {
+        for (const place of report.places_structured) {
+            if (!place.country && !place.region && !place.city) continue;
+            const path = [place.country, place.region, place.city];
+            const key = placeKey(path);
+            if (!locations.has(key)) locations.set(key, { path, reports: new Set() });
+            locations.get(key).reports.add(report.id);
+        }
+    }
+
+    const agencies = new Map();
+    reports.forEach(r => agencies.set(r.agency, (agencies.get(r.agency) || 0) + 1));
+
+    const types = new Map(network.nodes.map(n => [n.id, n.type]));
+    const associates = network.links
+        .filter(l => nodeId(l.source) === id || nodeId(l.target) === id)
+        .map(l => {
+            const other = nodeId(l.source) === id ? nodeId(l.target) : nodeId(l.source);
+            return { id: other, type: types.get(other), weight: l.weight, reportIds: l.reportIds };
+        })
+        .sort((a, b) => b.weight - a.weight || a.id.localeCompare(b.id));
+
+    return {
+        aliases: Object.keys(aliasMap).filter(alias => aliasMap[alias] === id).sort(),
+        firstSeen: dated[0] || null,
+        lastSeen: dated[dated.length - 1] || null,
+        activity: generateTimelineData(reports),
+        locations: [...locations.values()].map(({ path, reports }) => ({ path, count: reports.size })).sort(byCount),
+        associates,
+        agencies: Array.from(agencies, ([agency, count]) => ({ agency, count })).sort(byCount),
+    };
+}
+
+/**
+* Counts reports per agency for every entity.
+* @param reports Array of reports.
+* @returns Map of entity -> Map of agency -> report count.
+**/
+export function getEntityAgencies(reports) {
+    const entityAgencies = new Map();
+    for (const report of reports) {
+        for (const entity of new Set(getReportEntities(report))) {
+            if (!entityAgencies.has(entity)) entityAgencies.set(entity, new Map());
+            const counts = entityAgencies.get(entity);
+            counts.set(report.agency, (counts.get(report.agency) || 0) + 1);
+        }
+    }
+    return entityAgencies;
+}
+
+/**
+* Generates/populates bins timeline chart.
+* @param reports Array of processed reports.
+* @param binning 'day', 'week' or 'month', see binKey.
+* @returns Array of {date, count, agencies} objects, date is the
+* first day of the bin, agencies is an object of agency -> count for stacking.
+**/
+export function generateTimelineData(reports, binning = 'month') {
+    const bins = new Map();
+    for (const report of reports) {
+        if (report.date) {
+            addToBin(bins, binKey(report.date, binning), report.agency);
+        }
+    }
+    return binsToTimeline(bins);
+}
+
+/**
+* Generates/populates bins for event timeline from DATES field.
+* @param reports Array of processed reports.
+* @param binning 'day', 'week' or 'month', see binKey.
+* @returns Array of {date, count, agencies} objects,
+* count is reports with an event in that bin.
+**/
+export function generateEventTimelineData(reports, binning = 'month') {
+    const bins = new Map();
+    for (const report of reports) {
+        // count report once per bin even if several events fall in it
+        const keys = new Set(report.event_dates.map(d => binKey(d, binning)));
+        for (const key of keys) {
+            addToBin(bins, key, report.agency);
+        }
+    }
+    return binsToTimeline(bins);
+}
+
+/**
+* Bin a date falls in, on the local calendar parseDate reads dates in.
+* @param date Date.
+* @param binning 'day', 'week' (from Monday) or 'month'.
+* @returns "YYYY-MM-DD" of the first day of the bin.
+**/
+export function binKey(date, binning = 'month') {
+    const start = new Date(date.getFullYear(), date.getMonth(), binning === 'month' ? 1 : date.getDate());
+    if (binning === 'week') {
+        start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    }
+    const pad = n => String(n).padStart(2, '0');
+    return `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+}
+
+/**
+* Reads a bin back as local midnight, `new Date("YYYY-MM-DD")` would be UTC.
+* @param key Bin from binKey.
+* @returns Date.
+**/
+function parseBinKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+* Counts a report in a bin, in total and for its agency.
+* @param bins Map of "YYYY-MM-DD" -> {count, agencies}.
+* @param key Bin from binKey.
+* @param agency Agency of the report.
+**/
+function addToBin(bins, key, agency) {
+    if (!bins.has(key)) bins.set(key, { count: 0, agencies: {} });
+    const bin = bins.get(key);
+    bin.count++;
+    bin.agencies[agency] = (bin.agencies[agency] || 0) + 1;
+}
+
+/**
+* Bins to sorted timeline entries.
+* @param bins Map of "YYYY-MM-DD" -> {count, agencies}.
+**/
+function binsToTimeline(bins) {
+    // convert back to Dates for timeline use
+    return Array.from(bins, ([dateStr, bin]) => ({
+        date: parseBinKey(dateStr),
+        ...bin
+    })).sort((a, b) => a.date - b.date);
+}
+
+
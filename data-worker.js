@@ -0,0 +1,77 @@
+/******************************************************************
+* data-worker.js
+* Responsible for the work that freezes the page on big datasets:
+* the tasks in worker-tasks.js and the network force layout.
+* runs as a module worker, the page side is worker-client.js.
+******************************************************************/
+import { TASKS } from './worker-tasks.js';
+import { createNetworkSimulation } from './network-layout.js';
+
+// same d3 build the page loads. it's a classic script and module
+// workers have no importScripts, so it's run as a function body
+const D3_URL = 'https://d3js.org/d3.v7.min.js';
+new Function(await (await fetch(D3_URL)).text())();
+const { d3 } = self;
+
+let layout = null; // {id, nodes, simulation} of the graph on screen
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'task') {
+        runTask(data);
+    } else if (data.type === 'layout') {
+        startLayout(data);
+    } else if (layout?.id === data.layout) {
+        // controls for an older layout arrive late, those are dropped
+        controlLayout(data);
+    }
+});
+
+/**
+* Runs a task from worker-tasks.js and sends the result back.
+* @param message Object {request, task, args}.
+**/
+async function runTask({ request, task, args }) {
+    try {
+        const result = await TASKS[task](...args);
+        self.postMessage({ type: 'result', request, result });
+    } catch (error) {
+        self.postMessage({ type: 'result', request, error: error.message });
+    }
+}
+
+/**
+* Replaces the running layout, positions go out on every tick as
+* [x0, y0, x1, y1, ...] in node order.
+* @param message Object {layout, nodes, links, width, height, anchored}.
+**/
+function startLayout({ layout: id, nodes, links, width, height, anchored }) {
+    layout?.simulation.stop();
+    const simulation = createNetworkSimulation(d3, nodes, links, width, height, anchored);
+    layout = { id, nodes, simulation };
+
+    simulation.on("tick", () => {
+        const positions = new Float64Array(nodes.length * 2);
+        nodes.forEach((n, i) => {
+            positions[i * 2] = n.x;
+            positions[i * 2 + 1] = n.y;
+        });
+        self.postMessage({ type: 'tick', layout: id, positions }, [positions.buffer]);
+    });
+}
+
+/**
+* Applies a drag, pin or reheat from the page.
+* @param message Object with `type` 'fix', 'alpha', 'alphaTarget',
+* 'restart' or 'stop', fix carries node `index`, `fx` and `fy`.
+**/
+function controlLayout({ type, index, fx, fy, value }) {
+    const { nodes, simulation } = layout;
+    if (type === 'fix') Object.assign(nodes[index], { fx, fy });
+    else if (type === 'alpha') simulation.alpha(value);
+    else if (type === 'alphaTarget') simulation.alphaTarget(value);
+    else if (type === 'restart') simulation.restart();
+    else if (type === 'stop') simulation.stop();
+}
+
+// imports loaded, the page can send work
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,242 @@
+/******************************************************************
+* dataset-loader.js
+* Responsible for reading analyst files in the browser: REPORT
+* text, CSV and JSON with column mapping, merging by report ID
+* and saved dataset collections.
+******************************************************************/
+import { parseRawData, buildReport, addDiagnostic, processReports } from './data-processor.js';
+import { applyAcceptedMentions } from './entity-extractor.js';
+import { readStorage, writeStorage } from './storage.js';
+
+const COLLECTIONS_KEY = 'datasetCollections';
+const ACTIVE_KEY = 'activeCollection';
+
+// the file served next to the page, fetched instead of stored
+export const BUNDLED_SOURCE = { name: 'dataset.txt', format: 'report', bundled: true };
+
+/**
+* Report fields a CSV/JSON column can map to, in dataset order.
+* list fields take ';' separated text or JSON arrays.
+**/
+export const REPORT_FIELDS = [
+    { key: 'id', label: 'ID', required: true, guesses: ['id', 'reportid', 'report_id'] },
+    { key: 'reportdate', label: 'Report date', guesses: ['reportdate', 'date', 'filed', 'report_date'] },
+    { key: 'referenceid', label: 'Reference IDs', guesses: ['referenceid', 'references', 'refs'] },
+    { key: 'reportsource', label: 'Source', guesses: ['reportsource', 'source', 'agency'] },
+    { key: 'reportdescription', label: 'Description', required: true, guesses: ['reportdescription', 'description', 'text', 'body', 'narrative'] },
+    { key: 'persons', label: 'Persons', guesses: ['persons', 'people', 'names'] },
+    { key: 'dates', label: 'Event dates', guesses: ['dates', 'eventdates', 'event_dates'] },
+    { key: 'places', label: 'Places', guesses: ['places', 'locations', 'location'] },
+    { key: 'organizations', label: 'Organizations', guesses: ['organizations', 'orgs', 'organisations'] },
+];
+
+/**
+* Works out file format from its name.
+* @param name File name.
+* @returns 'csv', 'json' or 'report' (REPORT text, the default).
+**/
+export function detectFormat(name) {
+    const extension = name.toLowerCase().split('.').pop();
+    return extension === 'csv' || extension === 'json' ? extension : 'report';
+}
+
+/**
+* Reads table-like file into records for the mapping step.
+* @param text File content.
+* @param format 'csv' or 'json'.
+* @returns Object with `columns` and `records` (array of objects).
+**/
+export function readRecords(text, format) {
+    if (format === 'csv') return parseCsv(text);
+
+    const parsed = JSON.parse(text);
+    // plain array, or wrapped like {reports: [...]} / the CLI output
+    const records = Array.isArray(parsed) ? parsed : parsed.reports || parsed.allReports;
+    if (!Array.isArray(records)) throw new Error('JSON must be an array of reports or have a "reports" array.');
+    const columns = [...new Set(records.flatMap(r => Object.keys(r)))];
+    return { columns, records };
+}
+
+/**
+* Minimal RFC 4180 CSV parser, quoted fields may hold commas and newlines.
+* @param text CSV content, first row is the header.
+* @returns Object with `columns` and `records`.
+**/
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    text = text.replace(/^\ufeff/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...body] = rows.filter(r => r.some(cell => cell.trim()));
+    const columns = header.map(c => c.trim());
+    const records = body.map(cells => Object.fromEntries(columns.map((c, i) => [c, cells[i] ?? ''])));
+    return { columns, records };
+}
+
+/**
+* Suggests which column feeds each report field, by name.
+* @param columns Column names of the file.
+* @returns Object of field key -> column name (missing if no guess).
+**/
+export function guessColumnMapping(columns) {
+    const normalize = name => name.toLowerCase().replace(/[^a-z_]/g, '');
+    const mapping = {};
+    for (const field of REPORT_FIELDS) {
+        const column = columns.find(c => field.guesses.includes(normalize(c)));
+        if (column) mapping[field.key] = column;
+    }
+    return mapping;
+}
+
+/**
+* Turns mapped records into reports.
+* @param records Array of objects from readRecords.
+* @param mapping Object of field key -> column name.
+* @param origin File name for the report cards.
+* @param diagnostics Optional array, gets rows without an ID and
+* questionable fields, line is the CSV row (header is line 1).
+* @returns Array of reports.
+**/
+export function recordsToReports(records, mapping, origin, diagnostics = []) {
+    const missing = REPORT_FIELDS.filter(f => f.required && !mapping[f.key]);
+    if (missing.length) throw new Error(`Map a column to ${missing.map(f => f.label).join(' and ')}.`);
+
+    const reports = [];
+    records.forEach((record, i) => {
+        const fields = {};
+        for (const { key } of REPORT_FIELDS) {
+            const value = mapping[key] ? record[mapping[key]] : '';
+            fields[key] = Array.isArray(value) ? value.join(';') : String(value ?? '').trim();
+        }
+        const line = i + 2; // header is line 1
+        if (!fields.id) {
+            addDiagnostic(diagnostics, { severity: 'error', code: 'no-id', origin, line, field: 'ID', problem: 'Row has no ID, skipped.' });
+            return;
+        }
+        const fieldLines = Object.fromEntries(REPORT_FIELDS.map(f => [f.key, line]));
+        reports.push(buildReport(fields, origin, diagnostics, fieldLines));
+    });
+    return reports;
+}
+
+/**
+* Reads one source into reports.
+* @param source Object {name, format, text, mapping}, or the bundled one.
+* @param diagnostics Optional array for parse problems.
+* @returns Promise of array of reports.
+**/
+export async function readSource(source, diagnostics = []) {
+    const text = source.bundled ? await (await fetch(source.name)).text() : source.text;
+    if (source.format === 'report') return parseRawData(text, diagnostics, source.name);
+    const { records } = readRecords(text, source.format);
+    return recordsToReports(records, source.mapping, source.name, diagnostics);
+}
+
+/**
+* Merges report lists, first report with an ID wins.
+* the parser already dropped and flagged duplicates inside a dataset.txt
+* file, so every one left here is flagged, even between same-named files.
+* @param lists Arrays of reports, in load order.
+* @param diagnostics Optional array, gets every ID that was left out.
+* @returns Array of merged reports.
+**/
+export function mergeReports(lists, diagnostics = []) {
+    const byId = new Map();
+    for (const report of lists.flat()) {
+        const kept = byId.get(report.id);
+        if (!kept) {
+            byId.set(report.id, report);
+        } else {
+            addDiagnostic(diagnostics, {
+                severity: 'warning', code: 'duplicate-id', origin: report.origin, reportId: report.id, field: 'ID',
+                problem: `Duplicate ID, kept the one from ${kept.origin}.`,
+            });
+        }
+    }
+    return [...byId.values()];
+}
+
+/**
+* Reads, merges and processes every source of a dataset.
+* the data worker runs this off the page (see data-worker.js).
+* @param sources Array of sources for readSource.
+* @param aliasMap Alias map to resolve persons with.
+* @param decisions Object from loadMentionDecisions, accepted
+* mentions are tagged and dismissed ones left out.
+* @param view Object {network, binning}, see processReports.
+* @returns Promise of object {data, diagnostics}, data as from processReports.
+**/
+export async function processSources(sources, aliasMap, decisions, view = {}) {
+    const lists = [];
+    const diagnostics = [];
+    for (const source of sources) {
+        lists.push(await readSource(source, diagnostics));
+    }
+    const reports = applyAcceptedMentions(mergeReports(lists, diagnostics), decisions.accepted);
+    return { data: processReports(reports, aliasMap, decisions.dismissed, view), diagnostics };
+}
+
+/**
+* Loads saved collections.
+* @returns Object of collection name -> array of sources.
+**/
+export function loadCollections() {
+    return readStorage(COLLECTIONS_KEY) || {};
+}
+
+/**
+* Saves collections, big files can run out of browser storage.
+* @param collections Object of collection name -> array of sources.
+* @returns True if saved.
+**/
+export function saveCollections(collections) {
+    return writeStorage(COLLECTIONS_KEY, collections);
+}
+
+/**
+* Name of the collection shown last, null for the bundled dataset.
+**/
+export function loadActiveCollection() {
+    return readStorage(ACTIVE_KEY);
+}
+
+/**
+* Remembers which collection is shown.
+* @param name Collection name, null for the bundled dataset.
+**/
+export function saveActiveCollection(name) {
+    writeStorage(ACTIVE_KEY, name);
+}
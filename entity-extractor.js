@@ -0,0 +1,216 @@
+/******************************************************************
+* entity-extractor.js
+* Responsible for finding entities mentioned in REPORTDESCRIPTION
+* that the hand-tagged fields missed, and the analyst's
+* accept/dismiss decisions on them.
+******************************************************************/
+import { readStorage, writeStorage } from './storage.js';
+
+const DECISIONS_KEY = 'mentionDecisions';
+
+// name parts that stay lowercase inside a name (Shadi abu Hoshar)
+const NAME_PARTICLE = "(?:al|el|abu|bin|ibn|de|la|van|der)";
+const NAME_WORD = "[A-Z](?:[a-z]+|'[A-Za-z]+)(?:['-][A-Za-z]+)*(?![\\w'])";
+const NAME = `(?:[A-Z]\\.\\s?)*${NAME_WORD}(?:\\s+(?:${NAME_PARTICLE}\\s+)?${NAME_WORD}){0,3}`;
+
+// street suffixes seen in the dataset, plus the usual ones
+const STREET = "(?:St|Street|Ave|Avenue|Rd|Road|Blvd|Boulevard|Dr|Drive|Ln|Lane|Way|Circle|Ct|Court|Pl|Place|Hwy|Highway|Pkwy|Parkway)";
+
+/**
+* Pattern rules, group 1 is the mention.
+* kinds match the network node types they turn into.
+**/
+const MENTION_RULES = [
+    {
+        kind: 'phone',
+        pattern: /((?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4})\b/g,
+    },
+    {
+        kind: 'flight',
+        pattern: /\b(?:[Ff]light|[Ff]lt\.?)\s+(?:#\s?|[Nn]o\.?\s|number\s)?([A-Z]{2,3}\s?\d{1,4})\b/g,
+    },
+    {
+        kind: 'address',
+        pattern: new RegExp(`((?:#\\s?)?\\b\\d{1,5}\\s+(?:Rue\\s+(?:de\\s+|du\\s+)?[A-Z][\\w']+|(?:(?:\\d+(?:st|nd|rd|th)|[A-Z][\\w']*)\\.?\\s+){1,3}${STREET}\\b\\.?|[A-Z][\\w']+\\s+straat))`, 'g'),
+    },
+    {
+        // name after a title or a naming cue
+        kind: 'person',
+        pattern: new RegExp(`\\b(?:(?:Mr|Mrs|Ms|Dr|Fr)\\.?\\s+|named\\s+|name\\s+(?:of\\s+)?|alias:?\\s+)(${NAME})`, 'g'),
+    },
+];
+
+// cue words that look like names to the person rule
+const NOT_NAMES = new Set(['The', 'This', 'He', 'She', 'His', 'Her', 'Mosque', 'Hotel']);
+
+/**
+* Proposes untagged entities for every report.
+* known names come from the entity dictionary, the rest from
+* pattern rules. anything already tagged or dismissed is skipped.
+* @param reports Array of reports with resolved persons.
+* @param allEntities Dictionary from getAllEntities.
+* @param dismissed Object of report id -> array of mention keys.
+* @returns Reports array with 'untagged_mentions' field, each
+* mention is {kind, text, rule} where rule is 'dictionary' or 'pattern'.
+**/
+export function extractMentions(reports, allEntities, dismissed = {}) {
+    // longest first so full names win over partial ones
+    const dictionary = [
+        ...[...allEntities.persons].map(text => ({ kind: 'person', text })),
+        ...[...allEntities.organizations].map(text => ({ kind: 'organization', text })),
+        ...[...allEntities.identifiers].map(([text, kind]) => ({ kind, text })),
+    ].sort((a, b) => b.text.length - a.text.length);
+    const known = new Map(dictionary.map(e => [e.text.toLowerCase(), e]));
+    const dictionaryRegex = dictionary.length ? new RegExp(
+        `\\b(${dictionary.map(e => escapeRegex(e.text)).join('|')})(?!\\w)`, 'g'
+    ) : null;
+
+    return reports.map(report => {
+        const text = report.reportdescription || '';
+        const tagged = new Set([
+            ...report.persons, ...report.persons_resolved, ...report.organizations,
+            ...report.identifiers.map(i => i.value),
+        ].map(normalizeMention));
+        const skip = new Set(dismissed[report.id] || []);
+        const found = new Map();
+        const add = (kind, mention, rule) => {
+            mention = mention.trim().replace(/[.,]$/, '');
+            const key = mentionKey({ kind, text: mention });
+            if (found.has(key) || skip.has(key) || tagged.has(normalizeMention(mention))) return;
+            if (kind === 'address' && isTaggedAddress(mention, report.places)) return;
+            found.set(key, { kind, text: mention, rule });
+        };
+
+        if (dictionaryRegex) {
+            for (const [, name] of text.matchAll(dictionaryRegex)) {
+                add(known.get(name.toLowerCase()).kind, name, 'dictionary');
+            }
+        }
+        for (const { kind, pattern } of MENTION_RULES) {
+            for (const [, mention] of text.matchAll(pattern)) {
+                if (kind === 'person') {
+                    const name = trimName(mention);
+                    // dictionary already had its say on known names
+                    if (!name || known.has(name.toLowerCase())) continue;
+                    add(kind, name, 'pattern');
+                } else {
+                    add(kind, mention, 'pattern');
+                }
+            }
+        }
+
+        report.untagged_mentions = [...found.values()];
+        return report;
+    });
+}
+
+/**
+* Drops cue words the person rule can swallow at the end of a match.
+* @param name Matched name.
+* @returns Cleaned name, or '' if nothing name-like is left.
+**/
+function trimName(name) {
+    const words = name.split(/\s+/);
+    while (words.length && NOT_NAMES.has(words[words.length - 1])) words.pop();
+    return words.length && !NOT_NAMES.has(words[0]) ? words.join(' ') : '';
+}
+
+/**
+* True if a PLACES entry of the report already holds the address.
+* compares house number and first street word, so '235 Buckthorn St'
+* matches '235 Buckthorn St.'.
+* @param mention Address found in text.
+* @param places Raw PLACES entries.
+**/
+function isTaggedAddress(mention, places) {
+    const core = addressCore(mention);
+    return places.some(place => addressCore(place.split('/')[0]) === core);
+}
+
+/**
+* House number and first street word of an address.
+* @param address Address string.
+**/
+function addressCore(address) {
+    return address.toLowerCase().replace(/#/g, '').match(/\d+\s+[\w']+/)?.[0].replace(/\s+/g, ' ') || address.toLowerCase();
+}
+
+/**
+* Normalizes text for 'already tagged' checks.
+* @param text Entity or mention.
+**/
+function normalizeMention(text) {
+    return text.toLowerCase().replace(/[.,#]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+* Key for a mention, used for dedupe and dismissals.
+* @param mention Object with kind and text.
+* @returns 'kind|text' string.
+**/
+export function mentionKey(mention) {
+    return `${mention.kind}|${normalizeMention(mention.text)}`;
+}
+
+/**
+* Escapes text for use in a RegExp.
+* @param text Any string.
+**/
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+* Tags a mention on its report. persons and orgs go to their
+* fields, phones, flights and addresses to 'identifiers'.
+* caller re-resolves entities and rebuilds the network.
+* @param report Report the mention was found in.
+* @param mention Mention from 'untagged_mentions'.
+* @returns Same report.
+**/
+export function acceptMention(report, { kind, text }) {
+    if (kind === 'person') report.persons.push(text);
+    else if (kind === 'organization') report.organizations.push(text);
+    else report.identifiers.push({ kind, value: text });
+    report.untagged_mentions = (report.untagged_mentions || []).filter(m => mentionKey(m) !== mentionKey({ kind, text }));
+    return report;
+}
+
+/**
+* Loads the analyst's accepted and dismissed mentions.
+* @returns Object with `accepted` (report id -> mentions) and
+* `dismissed` (report id -> mention keys).
+**/
+export function loadMentionDecisions() {
+    const saved = readStorage(DECISIONS_KEY);
+    return {
+        accepted: saved?.accepted || {},
+        dismissed: saved?.dismissed || {},
+    };
+}
+
+/**
+* Saves accepted and dismissed mentions.
+* @param decisions Object from loadMentionDecisions.
+**/
+export function saveMentionDecisions(decisions) {
+    writeStorage(DECISIONS_KEY, decisions);
+}
+
+/**
+* Re-applies saved accepted mentions after a fresh parse.
+* @param reports Array of parsed reports.
+* @param accepted Object of report id -> mentions.
+* @returns Reports array.
+**/
+export function applyAcceptedMentions(reports, accepted) {
+    for (const report of reports) {
+        for (const mention of accepted[report.id] || []) {
+            const isTagged = mention.kind === 'person' ? report.persons.includes(mention.text)
+                : mention.kind === 'organization' ? report.organizations.includes(mention.text)
+                : report.identifiers.some(i => i.value === mention.text);
+            if (!isTagged) acceptMention(report, mention);
+        }
+    }
+    return reports;
+}
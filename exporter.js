@@ -0,0 +1,273 @@
+/******************************************************************
+* exporter.js
+* Responsible for getting data out of the dashboard: network as
+* GraphML/GEXF/JSON, reports as CSV/JSON and chart panels as SVG/PNG.
+******************************************************************/
+import { nodeId } from './network-analytics.js';
+
+// node fields written as attributes, besides the id
+const NODE_ATTRIBUTES = [
+    { key: 'type', type: 'string' },
+    { key: 'degree', type: 'int' },
+    { key: 'betweenness', type: 'double' },
+    { key: 'eigenvector', type: 'double' },
+    { key: 'community', type: 'int' },
+];
+
+// svg properties copied from computed style when inlining
+const INLINE_STYLES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'display', 'visibility', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline',
+];
+
+// report fields in export order, see exportRecord
+const REPORT_COLUMNS = [
+    'id', 'reportdate', 'reportsource', 'references', 'persons', 'persons_resolved',
+    'organizations', 'places', 'event_dates', 'reportdescription',
+];
+
+const PANEL_BACKGROUND = '#1f2937'; // bg-gray-800, panels are dark
+
+// dates are parsed at local midnight, toISOString would be a day off east of UTC
+const formatDay = d3.timeFormat('%Y-%m-%d');
+
+/**
+* Escapes text for XML attributes and content.
+* @param value Any value.
+**/
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+* Plain copy of network, link ends as ids, ready for any format.
+* @param network Object with `nodes` and `links` arrays.
+* @returns Object with `nodes` and `links` arrays.
+**/
+function flattenNetwork({ nodes, links }) {
+    return {
+        nodes: nodes.map(n => Object.fromEntries([['id', n.id], ...NODE_ATTRIBUTES.map(a => [a.key, n[a.key]])])),
+        links: links.map(l => ({
+            source: nodeId(l.source),
+            target: nodeId(l.target),
+            weight: l.weight,
+            reportIds: l.reportIds,
+        })),
+    };
+}
+
+/**
+* Network as GraphML (Gephi, yEd, Cytoscape).
+* report ids go in one ';' separated attribute.
+* @param network Object with `nodes` and `links` arrays.
+* @returns GraphML string.
+**/
+export function networkToGraphML(network) {
+    const { nodes, links } = flattenNetwork(network);
+    const graphmlType = { string: 'string', int: 'int', double: 'double' };
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...NODE_ATTRIBUTES.map(a => `  <key id="${a.key}" for="node" attr.name="${a.key}" attr.type="${graphmlType[a.type]}"/>`),
+        '  <key id="weight" for="edge" attr.name="weight" attr.type="int"/>',
+        '  <key id="reportIds" for="edge" attr.name="reportIds" attr.type="string"/>',
+        '  <graph id="network" edgedefault="undirected">',
+        ...nodes.map(n => [
+            `    <node id="${escapeXml(n.id)}">`,
+            ...NODE_ATTRIBUTES.map(a => `      <data key="${a.key}">${escapeXml(n[a.key])}</data>`),
+            '    </node>',
+        ].join('\n')),
+        ...links.map((l, i) => [
+            `    <edge id="e${i}" source="${escapeXml(l.source)}" target="${escapeXml(l.target)}">`,
+            `      <data key="weight">${l.weight}</data>`,
+            `      <data key="reportIds">${escapeXml(l.reportIds.join(';'))}</data>`,
+            '    </edge>',
+        ].join('\n')),
+        '  </graph>',
+        '</graphml>',
+    ].join('\n');
+}
+
+/**
+* Network as GEXF 1.3 (Gephi's own format).
+* @param network Object with `nodes` and `links` arrays.
+* @returns GEXF string.
+**/
+export function networkToGexf(network) {
+    const { nodes, links } = flattenNetwork(network);
+    const gexfType = { string: 'string', int: 'integer', double: 'double' };
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+        '  <graph defaultedgetype="undirected">',
+        '    <attributes class="node">',
+        ...NODE_ATTRIBUTES.map((a, i) => `      <attribute id="${i}" title="${a.key}" type="${gexfType[a.type]}"/>`),
+        '    </attributes>',
+        '    <attributes class="edge">',
+        '      <attribute id="reportIds" title="reportIds" type="string"/>',
+        '    </attributes>',
+        '    <nodes>',
+        ...nodes.map(n => [
+            `      <node id="${escapeXml(n.id)}" label="${escapeXml(n.id)}">`,
+            '        <attvalues>',
+            ...NODE_ATTRIBUTES.map((a, i) => `          <attvalue for="${i}" value="${escapeXml(n[a.key])}"/>`),
+            '        </attvalues>',
+            '      </node>',
+        ].join('\n')),
+        '    </nodes>',
+        '    <edges>',
+        ...links.map((l, i) => [
+            `      <edge id="${i}" source="${escapeXml(l.source)}" target="${escapeXml(l.target)}" weight="${l.weight}">`,
+            `        <attvalues><attvalue for="reportIds" value="${escapeXml(l.reportIds.join(';'))}"/></attvalues>`,
+            '      </edge>',
+        ].join('\n')),
+        '    </edges>',
+        '  </graph>',
+        '</gexf>',
+    ].join('\n');
+}
+
+/**
+* Network as JSON, same shape d3 reads (nodes, links).
+* @param network Object with `nodes` and `links` arrays.
+* @returns JSON string.
+**/
+export function networkToJson(network) {
+    return JSON.stringify(flattenNetwork(network), null, 2);
+}
+
+/**
+* Plain report record for export, dataset field names.
+* @param report Processed report.
+**/
+function exportRecord(report) {
+    return {
+        id: report.id,
+        reportdate: report.date ? formatDay(report.date) : '',
+        reportsource: report.reportsource || '',
+        references: report.references,
+        persons: report.persons,
+        persons_resolved: report.persons_resolved,
+        organizations: report.organizations,
+        places: report.places,
+        event_dates: report.event_dates.map(formatDay),
+        reportdescription: report.reportdescription || '',
+    };
+}
+
+/**
+* Reports as CSV, lists joined with ';'.
+* starts with a BOM so spreadsheets read it as UTF-8.
+* @param reports Array of processed reports.
+* @returns CSV string.
+**/
+export function reportsToCsv(reports) {
+    const records = reports.map(exportRecord);
+    const cell = value => {
+        const text = Array.isArray(value) ? value.join(';') : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return '\ufeff' + [
+        REPORT_COLUMNS.join(','),
+        ...records.map(r => REPORT_COLUMNS.map(c => cell(r[c])).join(',')),
+    ].join('\r\n');
+}
+
+/**
+* Reports as JSON array.
+* @param reports Array of processed reports.
+* @returns JSON string.
+**/
+export function reportsToJson(reports) {
+    return JSON.stringify(reports.map(exportRecord), null, 2);
+}
+
+/**
+* Standalone copy of an svg panel, computed styles written
+* inline so it looks the same without style.css.
+* @param svg Live svg element.
+* @returns Object with `markup` string, `width` and `height`.
+**/
+export function serializeSvg(svg) {
+    const { width, height } = svg.getBoundingClientRect();
+    const clone = svg.cloneNode(true);
+
+    // walk both trees together, clone has no computed style
+    const sources = [svg, ...svg.querySelectorAll('*')];
+    const targets = [clone, ...clone.querySelectorAll('*')];
+    sources.forEach((source, i) => {
+        const computed = getComputedStyle(source);
+        const inline = INLINE_STYLES
+            .map(prop => [prop, computed.getPropertyValue(prop)])
+            .filter(([, value]) => value)
+            .map(([prop, value]) => `${prop}:${value}`)
+            .join(';');
+        targets[i].setAttribute('style', [inline, source.getAttribute('style')].filter(Boolean).join(';'));
+        targets[i].removeAttribute('class');
+    });
+
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    if (!clone.getAttribute('viewBox')) clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    // dark background, otherwise light text disappears on white
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', PANEL_BACKGROUND);
+    clone.insertBefore(background, clone.firstChild);
+
+    return {
+        markup: '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone),
+        width,
+        height,
+    };
+}
+
+/**
+* Renders serialized svg to PNG.
+* @param svgData Object from serializeSvg.
+* @param scale Pixel ratio, 2 is sharp enough for slides.
+* @returns Promise of PNG Blob.
+**/
+export function svgToPng({ markup, width, height }, scale = 2) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(width * scale);
+            canvas.height = Math.ceil(height * scale);
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not render PNG.')), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not load SVG for PNG export.'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+* Hands content to the browser as a file download.
+* @param content String or Blob.
+* @param filename Suggested file name.
+* @param type MIME type, used for strings.
+**/
+export function downloadFile(content, filename, type = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
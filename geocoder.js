@@ -0,0 +1,155 @@
+/******************************************************************
+* geocoder.js
+* Responsible for placing structured PLACES on the map with the
+* bundled gazetteer, plus analyst pins for what it can't resolve.
+******************************************************************/
+import { readStorage, writeStorage } from './storage.js';
+
+const PINS_KEY = 'placePins';
+
+/**
+* Fetches bundled gazetteer and world boundaries, no network needed.
+* gazetteer rows are [country, lon, lat], [region, country, lon, lat]
+* and [city, region, country, lon, lat].
+* @returns Promise of {gazetteer, world} where world is GeoJSON.
+**/
+export async function loadMapData() {
+    const [gazetteer, world] = await Promise.all([
+        fetch('gazetteer.json').then(r => r.json()),
+        fetch('world-countries.json').then(r => r.json()),
+    ]);
+    return { gazetteer: indexGazetteer(gazetteer), world };
+}
+
+/**
+* Builds lookups from raw gazetteer rows.
+* @param raw Object with `countries`, `regions` and `cities` arrays.
+* @returns Object of Maps keyed by normalized names.
+**/
+function indexGazetteer(raw) {
+    const cities = new Map();
+    for (const [city, region, country, lon, lat] of raw.cities) {
+        const key = normalizeName(city);
+        if (!cities.has(key)) cities.set(key, []);
+        cities.get(key).push({ region: normalizeName(region), country: normalizeName(country), coords: [lon, lat] });
+    }
+    return {
+        cities,
+        regions: new Map(raw.regions.map(([region, country, lon, lat]) =>
+            [`${normalizeName(region)}|${normalizeName(country)}`, [lon, lat]])),
+        countries: new Map(raw.countries.map(([country, lon, lat]) => [normalizeName(country), [lon, lat]])),
+    };
+}
+
+/**
+* Lowercases and evens out abbreviations for lookup.
+* @param name Place name.
+**/
+function normalizeName(name) {
+    return (name || '').toLowerCase()
+        .replace(/\bft\.?\s/g, 'fort ')
+        .replace(/\bst\.?\s/g, 'st ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+* Key identifying a place for markers and pins, address ignored.
+* @param place Object from 'places_structured'.
+**/
+export function placeKey(place) {
+    return [place.city, place.region, place.country].join('/');
+}
+
+/**
+* Finds coordinates for a structured place.
+* most specific level wins, a city that isn't in the gazetteer
+* is unresolved rather than dropped to its country.
+* @param place Object from 'places_structured'.
+* @param gazetteer Indexed gazetteer.
+* @param pins Object of placeKey -> [lon, lat].
+* @returns {coords, precision} or null.
+**/
+export function geocodePlace(place, gazetteer, pins = {}) {
+    const pinned = pins[placeKey(place)];
+    if (pinned) return { coords: pinned, precision: 'pinned' };
+
+    const city = normalizeName(place.city);
+    const region = normalizeName(place.region);
+    const country = normalizeName(place.country);
+
+    if (city) {
+        const candidates = (gazetteer.cities.get(city) || [])
+            .filter(c => !country || c.country === country)
+            .filter(c => !region || !c.region || c.region === region);
+        // blank country with several matches is a guess, leave it to the analyst
+        if (candidates.length === 1 || (candidates.length > 1 && country)) {
+            return { coords: candidates[0].coords, precision: 'city' };
+        }
+        return null;
+    }
+    if (region) {
+        const coords = gazetteer.regions.get(`${region}|${country}`);
+        return coords ? { coords, precision: 'region' } : null;
+    }
+    if (country) {
+        const coords = gazetteer.countries.get(country);
+        return coords ? { coords, precision: 'country' } : null;
+    }
+    return null;
+}
+
+/**
+* Groups report places into map markers and unresolved places.
+* @param reports Array of processed reports.
+* @param gazetteer Indexed gazetteer.
+* @param pins Object of placeKey -> [lon, lat].
+* @returns Object with `markers` and `unresolved` arrays of
+* {key, name, path, count, coords, precision}, sorted by count.
+**/
+export function generateMapData(reports, gazetteer, pins = {}) {
+    const places = new Map();
+    for (const report of reports) {
+        for (const place of report.places_structured) {
+            if (!place.city && !place.region && !place.country) continue;
+            const key = placeKey(place);
+            if (!places.has(key)) {
+                // path into the location tree, stops at most specific level
+                const levels = [place.country, place.region, place.city];
+                const depth = place.city ? 3 : place.region ? 2 : 1;
+                places.set(key, {
+                    key,
+                    name: [place.city, place.region, place.country].filter(Boolean).join(', '),
+                    path: levels.slice(0, depth),
+                    reports: new Set(),
+                    ...geocodePlace(place, gazetteer, pins),
+                });
+            }
+            places.get(key).reports.add(report.id);
+        }
+    }
+
+    const all = [...places.values()]
+        .map(({ reports: ids, ...rest }) => ({ ...rest, count: ids.size }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    return {
+        markers: all.filter(p => p.coords),
+        unresolved: all.filter(p => !p.coords),
+    };
+}
+
+/**
+* Loads analyst pins.
+* @returns Object of placeKey -> [lon, lat].
+**/
+export function loadPins() {
+    return readStorage(PINS_KEY) || {};
+}
+
+/**
+* Saves analyst pins.
+* @param pins Object of placeKey -> [lon, lat].
+**/
+export function savePins(pins) {
+    writeStorage(PINS_KEY, pins);
+}
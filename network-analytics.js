@@ -0,0 +1,402 @@
+/******************************************************************
+* network-analytics.js
+* Responsible for graph metrics on the co-occurrence network:
+* centrality scores, modularity-based communities, paths and
+* neighborhoods.
+******************************************************************/
+
+/**
+* Computes metrics for every node and stores them on the node.
+* @param network Object with `nodes` and `links` arrays.
+* @returns Same network, nodes get `degree`, `betweenness`,
+* `eigenvector` and `community` fields.
+**/
+export function computeNetworkMetrics(network) {
+    const adjacency = buildAdjacency(network);
+    const betweenness = computeBetweenness(adjacency);
+    const eigenvector = computeEigenvector(adjacency);
+    const community = detectCommunities(adjacency);
+
+    network.nodes.forEach(node => {
+        node.degree = adjacency.get(node.id).size;
+        node.betweenness = betweenness.get(node.id);
+        node.eigenvector = eigenvector.get(node.id);
+        node.community = community.get(node.id);
+    });
+    return network;
+}
+
+/**
+* Builds undirected adjacency from nodes and links.
+* works before and after d3 swaps link ends for node objects.
+* @param network Object with `nodes` and `links` arrays.
+* @returns Map of id -> Set of neighbor ids.
+**/
+export function buildAdjacency({ nodes, links }) {
+    const adjacency = new Map(nodes.map(n => [n.id, new Set()]));
+    for (const link of links) {
+        const source = nodeId(link.source);
+        const target = nodeId(link.target);
+        if (source === target || !adjacency.has(source) || !adjacency.has(target)) continue;
+        adjacency.get(source).add(target);
+        adjacency.get(target).add(source);
+    }
+    return adjacency;
+}
+
+/**
+* Id of a link end, string or d3 node object.
+* @param end Link source or target.
+**/
+export function nodeId(end) {
+    return typeof end === 'object' ? end.id : end;
+}
+
+/**
+* Neighborhood of one node, for focus mode. walks out from the focus
+* up to `depth` hops, expanded nodes reach one hop further wherever
+* they are, collapsed nodes stop the walk.
+* @param network Object with `nodes` and `links` arrays.
+* @param focus Id of the node to start from.
+* @param depth Hops around the focus.
+* @param options Object with Sets `expanded`, `collapsed` and `hidden`.
+* @returns Object with `nodes` and `links` arrays of the subgraph, and
+* `hops` Map of id -> hops from the focus.
+**/
+export function getEgoNetwork(network, focus, depth, { expanded = new Set(), collapsed = new Set(), hidden = new Set() } = {}) {
+    const adjacency = buildAdjacency(network);
+    const hops = new Map();
+    if (!adjacency.has(focus) || hidden.has(focus)) return { nodes: [], links: [], hops };
+
+    hops.set(focus, 0);
+    const queue = [focus];
+    for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        const distance = hops.get(current);
+        if (collapsed.has(current) || (distance >= depth && !expanded.has(current))) continue;
+        for (const next of adjacency.get(current)) {
+            if (hops.has(next) || hidden.has(next)) continue;
+            hops.set(next, distance + 1);
+            queue.push(next);
+        }
+    }
+
+    return {
+        nodes: network.nodes.filter(n => hops.has(n.id)),
+        links: network.links.filter(l => hops.has(nodeId(l.source)) && hops.has(nodeId(l.target))),
+        hops,
+    };
+}
+
+/**
+* Brandes betweenness centrality, unweighted.
+* @param adjacency Map of id -> Set of neighbor ids.
+* @returns Map of id -> betweenness normalized to 0-1.
+**/
+function computeBetweenness(adjacency) {
+    const ids = [...adjacency.keys()];
+    const scores = new Map(ids.map(id => [id, 0]));
+
+    for (const s of ids) {
+        // shortest path counts from s
+        const stack = [];
+        const preds = new Map(ids.map(id => [id, []]));
+        const sigma = new Map(ids.map(id => [id, 0]));
+        const dist = new Map(ids.map(id => [id, -1]));
+        sigma.set(s, 1);
+        dist.set(s, 0);
+        const queue = [s];
+        for (let head = 0; head < queue.length; head++) {
+            const v = queue[head];
+            stack.push(v);
+            for (const w of adjacency.get(v)) {
+                if (dist.get(w) < 0) {
+                    dist.set(w, dist.get(v) + 1);
+                    queue.push(w);
+                }
+                if (dist.get(w) === dist.get(v) + 1) {
+                    sigma.set(w, sigma.get(w) + sigma.get(v));
+                    preds.get(w).push(v);
+                }
+            }
+        }
+
+        // accumulate dependencies back up the tree
+        const delta = new Map(ids.map(id => [id, 0]));
+        while (stack.length) {
+            const w = stack.pop();
+            for (const v of preds.get(w)) {
+                delta.set(v, delta.get(v) + (sigma.get(v) / sigma.get(w)) * (1 + delta.get(w)));
+            }
+            if (w !== s) scores.set(w, scores.get(w) + delta.get(w));
+        }
+    }
+
+    // each pair counted from both ends, then scale by number of pairs
+    const n = ids.length;
+    const norm = n > 2 ? (n - 1) * (n - 2) : 1;
+    for (const id of ids) scores.set(id, scores.get(id) / norm);
+    return scores;
+}
+
+/**
+* Eigenvector centrality by power iteration.
+* @param adjacency Map of id -> Set of neighbor ids.
+* @returns Map of id -> score, largest is 1.
+**/
+function computeEigenvector(adjacency, iterations = 100, tolerance = 1e-6) {
+    const ids = [...adjacency.keys()];
+    let scores = new Map(ids.map(id => [id, 1]));
+
+    for (let i = 0; i < iterations; i++) {
+        // keep some of own score so bipartite parts don't oscillate
+        const next = new Map();
+        for (const id of ids) {
+            let sum = scores.get(id);
+            for (const neighbor of adjacency.get(id)) sum += scores.get(neighbor);
+            next.set(id, sum);
+        }
+        const max = Math.max(...next.values()) || 1;
+        let change = 0;
+        for (const id of ids) {
+            const value = next.get(id) / max;
+            change += Math.abs(value - scores.get(id));
+            next.set(id, value);
+        }
+        scores = next;
+        if (change < tolerance) break;
+    }
+
+    // isolated nodes only kept their own score
+    for (const id of ids) {
+        if (adjacency.get(id).size === 0) scores.set(id, 0);
+    }
+    return scores;
+}
+
+/**
+* Louvain community detection, greedy modularity optimization.
+* @param adjacency Map of id -> Set of neighbor ids.
+* @returns Map of id -> community number, 0 is the largest.
+**/
+function detectCommunities(adjacency) {
+    // weighted graph of current level: node -> Map(neighbor -> weight)
+    let graph = new Map();
+    for (const [id, neighbors] of adjacency) {
+        graph.set(id, new Map([...neighbors].map(n => [n, 1])));
+    }
+    // which level-0 node ended up in which super node
+    let membership = new Map([...adjacency.keys()].map(id => [id, id]));
+
+    while (true) {
+        const partition = louvainLevel(graph);
+        const communities = new Set(partition.values());
+        if (communities.size === graph.size) break; // nothing merged
+
+        membership = new Map([...membership].map(([id, group]) => [id, partition.get(group)]));
+        graph = aggregateGraph(graph, partition);
+    }
+
+    // renumber by size, biggest first
+    const sizes = new Map();
+    for (const group of membership.values()) sizes.set(group, (sizes.get(group) || 0) + 1);
+    const order = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a) || String(a).localeCompare(String(b)));
+    const rank = new Map(order.map((group, i) => [group, i]));
+    return new Map([...membership].map(([id, group]) => [id, rank.get(group)]));
+}
+
+/**
+* One pass of Louvain: moves nodes to the neighbor community
+* with best modularity gain until nothing moves.
+* @param graph Map of node -> Map(neighbor -> weight).
+* @returns Map of node -> community key.
+**/
+function louvainLevel(graph) {
+    const community = new Map();
+    const degree = new Map(); // weighted degree, self loops count twice
+    const totals = new Map(); // sum of degrees per community
+    let m2 = 0; // twice total edge weight
+
+    for (const [node, neighbors] of graph) {
+        let k = 0;
+        for (const [neighbor, weight] of neighbors) k += neighbor === node ? 2 * weight : weight;
+        degree.set(node, k);
+        community.set(node, node);
+        totals.set(node, k);
+        m2 += k;
+    }
+    if (m2 === 0) return community;
+
+    let moved = true;
+    while (moved) {
+        moved = false;
+        for (const [node, neighbors] of graph) {
+            const current = community.get(node);
+            const k = degree.get(node);
+
+            // weight from node into each neighboring community
+            const links = new Map();
+            for (const [neighbor, weight] of neighbors) {
+                if (neighbor === node) continue;
+                const c = community.get(neighbor);
+                links.set(c, (links.get(c) || 0) + weight);
+            }
+
+            // take node out, then find best place to put it back
+            totals.set(current, totals.get(current) - k);
+            let best = current;
+            let bestGain = (links.get(current) || 0) - totals.get(current) * k / m2;
+            for (const [c, weight] of links) {
+                const gain = weight - totals.get(c) * k / m2;
+                if (gain > bestGain) {
+                    best = c;
+                    bestGain = gain;
+                }
+            }
+            totals.set(best, totals.get(best) + k);
+
+            if (best !== current) {
+                community.set(node, best);
+                moved = true;
+            }
+        }
+    }
+    return community;
+}
+
+/**
+* Collapses each community into a single weighted node.
+* @param graph Map of node -> Map(neighbor -> weight).
+* @param partition Map of node -> community key.
+* @returns Graph of communities.
+**/
+function aggregateGraph(graph, partition) {
+    const next = new Map();
+    for (const c of new Set(partition.values())) next.set(c, new Map());
+    for (const [node, neighbors] of graph) {
+        const from = partition.get(node);
+        for (const [neighbor, weight] of neighbors) {
+            const to = partition.get(neighbor);
+            const edges = next.get(from);
+            // old self loops are only listed once, count them twice too
+            const added = neighbor === node ? 2 * weight : weight;
+            edges.set(to, (edges.get(to) || 0) + added);
+        }
+    }
+
+    // internal edges were added from both ends, halve self loops
+    for (const [c, edges] of next) {
+        if (edges.has(c)) edges.set(c, edges.get(c) / 2);
+    }
+    return next;
+}
+
+/**
+* Finds shortest path and next k-1 shortest loopless paths
+* between two entities (Yen's algorithm over hop count).
+* @param network Object with `nodes` and `links` arrays.
+* @param source Start entity id.
+* @param target End entity id.
+* @param k Max number of paths.
+* @returns Array of {nodes, hops} where each hop is
+* {source, target, reportIds}, shortest first.
+**/
+export function findPaths(network, source, target, k = 3) {
+    const adjacency = buildAdjacency(network);
+    if (source === target || !adjacency.has(source) || !adjacency.has(target)) return [];
+
+    // link lookup for hop evidence
+    const linkByKey = new Map(network.links.map(l => [edgeKey(nodeId(l.source), nodeId(l.target)), l]));
+    const evidence = path => sumOf(path.slice(1).map((id, i) => linkByKey.get(edgeKey(path[i], id)).weight));
+
+    const first = bfsPath(adjacency, source, target, new Set(), new Set());
+    if (!first) return [];
+    const found = [first];
+    const candidates = [];
+    const samePath = (a, b) => a.length === b.length && a.every((id, i) => id === b[i]);
+
+    while (found.length < k) {
+        const previous = found[found.length - 1];
+        for (let i = 0; i < previous.length - 1; i++) {
+            const spurNode = previous[i];
+            const root = previous.slice(0, i + 1);
+
+            // block edges already used by paths sharing this root
+            const removedEdges = new Set();
+            for (const path of found) {
+                if (path.length > i + 1 && root.every((id, j) => path[j] === id)) {
+                    removedEdges.add(edgeKey(path[i], path[i + 1]));
+                }
+            }
+            // and the root itself, keeps paths loopless
+            const removedNodes = new Set(root.slice(0, -1));
+
+            const spur = bfsPath(adjacency, spurNode, target, removedNodes, removedEdges);
+            if (!spur) continue;
+            const path = [...root.slice(0, -1), ...spur];
+            if (!candidates.some(c => samePath(c, path)) && !found.some(f => samePath(f, path))) {
+                candidates.push(path);
+            }
+        }
+        if (candidates.length === 0) break;
+
+        // fewest hops first, then most reports behind the hops
+        candidates.sort((a, b) => a.length - b.length || evidence(b) - evidence(a));
+        found.push(candidates.shift());
+    }
+
+    return found.map(path => ({
+        nodes: path,
+        hops: path.slice(1).map((id, i) => ({
+            source: path[i],
+            target: id,
+            reportIds: linkByKey.get(edgeKey(path[i], id)).reportIds,
+        })),
+    }));
+}
+
+/**
+* Breadth-first shortest path avoiding some nodes and edges.
+* @param adjacency Map of id -> Set of neighbor ids.
+* @param source Start id.
+* @param target End id.
+* @param removedNodes Set of ids to skip.
+* @param removedEdges Set of edge keys to skip.
+* @returns Array of ids from source to target, or null.
+**/
+function bfsPath(adjacency, source, target, removedNodes, removedEdges) {
+    const previous = new Map([[source, null]]);
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        if (current === target) break;
+        // sorted so results don't depend on link order
+        for (const next of [...adjacency.get(current)].sort()) {
+            if (previous.has(next) || removedNodes.has(next) || removedEdges.has(edgeKey(current, next))) continue;
+            previous.set(next, current);
+            queue.push(next);
+        }
+    }
+    if (!previous.has(target)) return null;
+
+    const path = [];
+    for (let id = target; id !== null; id = previous.get(id)) path.unshift(id);
+    return path;
+}
+
+/**
+* Key for an undirected edge.
+* @param a One end id.
+* @param b Other end id.
+**/
+function edgeKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+* Sums numbers.
+* @param values Array of numbers.
+**/
+function sumOf(values) {
+    return values.reduce((total, v) => total + v, 0);
+}
@@ -0,0 +1,34 @@
+/******************************************************************
+* network-layout.js
+* Responsible for the force settings of the network graph, shared
+* by the data worker and the page when no worker is running.
+******************************************************************/
+
+/**
+* Sets up the network force simulation.
+* @param force d3, the page's global or the one the data worker loads.
+* @param nodes Node objects, get x/y, fx/fy hold a node in place.
+* @param links Links with source/target ids or nodes.
+* @param width Drawing width.
+* @param height Drawing height.
+* @param anchored True to hold nodes near homeX/homeY (where they
+* start if unset), keeps frames of the time slider steady.
+* @returns d3 force simulation, already running.
+**/
+export function createNetworkSimulation(force, nodes, links, width, height, anchored = false) {
+    const simulation = force.forceSimulation(nodes)
+        .force("link", force.forceLink(links).id(d => d.id).distance(50))
+        .force("charge", force.forceManyBody().strength(-70));
+
+    if (anchored) {
+        return simulation
+            .force("x", force.forceX(d => d.homeX ?? d.x).strength(0.3))
+            .force("y", force.forceY(d => d.homeY ?? d.y).strength(0.3));
+    }
+    return simulation
+        .force("center", force.forceCenter(width / 2, height / 2).strength(.6))
+
+        // pls stay in the box
+        .force("x", force.forceX(width / 2).strength(0.1))
+        .force("y", force.forceY(height / 2).strength(0.1));
+}
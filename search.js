@@ -0,0 +1,219 @@
+/******************************************************************
+* search.js
+* Responsible for full-text and boolean search over reports:
+* indexing, query parsing and relevance ranking.
+******************************************************************/
+
+// qualifier -> indexed field
+const QUALIFIERS = {
+    source: 'source',
+    id: 'id',
+    person: 'person',
+    place: 'place',
+    org: 'org',
+};
+
+// qualified hits mean more than a word somewhere in the text
+const FIELD_BOOST = 2;
+
+/**
+* Builds search index, once per dataset (and after alias changes).
+* every field is a list of token arrays so phrases don't run
+* across two names or places.
+* @param reports Array of processed reports.
+* @returns Object with `docs` Map of id -> fields and `df` Map of
+* description term -> number of reports containing it.
+**/
+export function buildSearchIndex(reports) {
+    const docs = new Map();
+    const df = new Map();
+    for (const report of reports) {
+        const text = tokenize(report.reportdescription);
+        docs.set(report.id, {
+            text: [text],
+            source: [tokenize(report.reportsource)],
+            id: [[report.id.toLowerCase()]],
+            // raw and resolved so both an alias and its canonical name find the report
+            person: [...new Set([...report.persons, ...report.persons_resolved])].map(tokenize),
+            place: report.places.map(tokenize),
+            org: report.organizations.map(tokenize),
+        });
+        for (const term of new Set(text)) df.set(term, (df.get(term) || 0) + 1);
+    }
+    return { docs, df };
+}
+
+/**
+* Splits text into lowercase word tokens.
+* apostrophes inside words are kept (O'alley).
+* @param text Any string.
+* @returns Array of tokens.
+**/
+function tokenize(text) {
+    return (text || '').toLowerCase()
+        .replace(/[‘’]/g, "'")
+        .match(/[a-z0-9]+(?:['_][a-z0-9]+)*/g) || [];
+}
+
+/**
+* Parses a query into a tree.
+* grammar: or = and (OR and)*, and = not (AND? not)*,
+* not = (NOT | -) not | ( or ) | [field:] word | [field:] "phrase".
+* @param query Query string, e.g. `"french passport" AND person:rafiki NOT source:cia`.
+* @returns Tree of {op: 'and'|'or'|'not', children} and
+* {op: 'term', field, tokens, phrase} nodes, or null for an empty query.
+**/
+export function parseQuery(query) {
+    const tokens = lexQuery(query);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (token, op) => token && token.type === 'op' && token.value === op;
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (isOp(peek(), 'OR')) {
+            pos++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { op: 'or', children };
+    };
+    const parseAnd = () => {
+        const children = [parseNot()];
+        // AND is implied between terms
+        while (peek() && !isOp(peek(), 'OR') && peek().type !== 'close') {
+            if (isOp(peek(), 'AND')) pos++;
+            children.push(parseNot());
+        }
+        return children.length === 1 ? children[0] : { op: 'and', children };
+    };
+    const parseNot = () => {
+        const token = peek();
+        if (!token) throw new Error('Query ends too early.');
+        if (isOp(token, 'NOT')) {
+            pos++;
+            return { op: 'not', children: [parseNot()] };
+        }
+        if (token.type === 'open') {
+            pos++;
+            const inner = parseOr();
+            if (!peek() || peek().type !== 'close') throw new Error('Missing closing parenthesis.');
+            pos++;
+            return inner;
+        }
+        if (token.type === 'term') {
+            pos++;
+            return token.value;
+        }
+        throw new Error(`Unexpected "${token.type === 'op' ? token.value : ')'}".`);
+    };
+
+    if (tokens.length === 0) return null;
+    const tree = parseOr();
+    if (pos < tokens.length) throw new Error('Unexpected ")".');
+    return tree;
+}
+
+/**
+* Splits a query into operators, parentheses and terms.
+* @param query Query string.
+* @returns Array of {type, value}.
+**/
+function lexQuery(query) {
+    const tokens = [];
+    const pattern = /\s*(?:(\()|(\))|(-)(?=\S)|(?:([A-Za-z]+):)?(?:"([^"]*)"?|([^\s()"]+)))/y;
+    let match;
+    while (pattern.lastIndex < query.length && (match = pattern.exec(query))) {
+        const [, open, close, minus, field, phrase, word] = match;
+        if (open) tokens.push({ type: 'open' });
+        else if (close) tokens.push({ type: 'close' });
+        else if (minus) tokens.push({ type: 'op', value: 'NOT' });
+        else if (!field && phrase === undefined && ['AND', 'OR', 'NOT'].includes(word)) {
+            tokens.push({ type: 'op', value: word });
+        }
+        else {
+            const qualifier = field && QUALIFIERS[field.toLowerCase()];
+            if (field && !qualifier) throw new Error(`Unknown field "${field}:", use ${Object.keys(QUALIFIERS).join(', ')}.`);
+            const text = phrase ?? word;
+            const termTokens = qualifier === 'id' ? [text.toLowerCase()] : tokenize(text);
+            if (termTokens.length === 0) continue; // punctuation only
+            tokens.push({
+                type: 'term',
+                value: { op: 'term', field: qualifier || 'text', tokens: termTokens, phrase: phrase !== undefined },
+            });
+        }
+        if (/^\s*$/.test(query.slice(pattern.lastIndex))) break;
+    }
+    return tokens;
+}
+
+/**
+* Runs a parsed query against the index.
+* @param index Index from buildSearchIndex.
+* @param tree Query tree from parseQuery.
+* @returns Map of report id -> relevance score, matches only.
+**/
+export function searchReports(index, tree) {
+    const results = new Map();
+    if (!tree) return results;
+    for (const [id, doc] of index.docs) {
+        const score = scoreNode(tree, doc, index);
+        if (score !== null) results.set(id, score);
+    }
+    return results;
+}
+
+/**
+* Scores one report against a query node.
+* @returns Score, 0 for a match with nothing to rank by, null if no match.
+**/
+function scoreNode(node, doc, index) {
+    if (node.op === 'term') return scoreTerm(node, doc, index);
+    if (node.op === 'not') return scoreNode(node.children[0], doc, index) === null ? 0 : null;
+
+    const scores = node.children.map(child => scoreNode(child, doc, index));
+    if (node.op === 'and' && scores.includes(null)) return null;
+    const matched = scores.filter(s => s !== null);
+    return matched.length ? matched.reduce((a, b) => a + b, 0) : null;
+}
+
+/**
+* Scores a word or phrase, tf-idf on the description,
+* flat boost for qualified fields.
+* @returns Score or null.
+**/
+function scoreTerm(term, doc, index) {
+    const hits = doc[term.field].reduce((total, tokens) => total + countOccurrences(tokens, term.tokens), 0);
+    if (hits === 0) return null;
+    if (term.field !== 'text') return FIELD_BOOST;
+
+    // rare words weigh more, phrases use their rarest word
+    const docCount = Math.min(...term.tokens.map(t => index.df.get(t) || 1));
+    const idf = Math.log(1 + index.docs.size / docCount);
+    return (1 + Math.log(hits)) * idf * term.tokens.length;
+}
+
+/**
+* Counts where a sequence of tokens appears in a token array.
+* @param tokens Field tokens.
+* @param sequence Query tokens, one word or a phrase.
+* @returns Number of occurrences.
+**/
+function countOccurrences(tokens, sequence) {
+    let count = 0;
+    for (let i = 0; i + sequence.length <= tokens.length; i++) {
+        if (sequence.every((t, j) => tokens[i + j] === t)) count++;
+    }
+    return count;
+}
+
+/**
+* Words and phrases to highlight in report descriptions,
+* negated and qualified terms are left out.
+* @param tree Query tree from parseQuery.
+* @returns Array of token arrays.
+**/
+export function getHighlightTerms(tree) {
+    if (!tree || tree.op === 'not') return [];
+    if (tree.op === 'term') return tree.field === 'text' ? [tree.tokens] : [];
+    return tree.children.flatMap(getHighlightTerms);
+}
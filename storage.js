@@ -0,0 +1,42 @@
+/******************************************************************
+* storage.js
+* Responsible for saving analyst data in the browser (localStorage).
+******************************************************************/
+
+/**
+* Reads JSON from localStorage, null if missing or broken.
+* @param key Storage key.
+**/
+export function readStorage(key) {
+    try {
+        const raw = globalThis.localStorage?.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        console.warn(`Could not read ${key} from storage:`, error);
+        return null;
+    }
+}
+
+/**
+* Writes JSON to localStorage.
+* @param key Storage key.
+* @param value Value to store.
+* @returns False if it didn't fit or storage is off.
+**/
+export function writeStorage(key, value) {
+    try {
+        globalThis.localStorage?.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.warn(`Could not save ${key}:`, error);
+        return false;
+    }
+}
+
+/**
+* Removes key from localStorage.
+* @param key Storage key.
+**/
+export function removeStorage(key) {
+    globalThis.localStorage?.removeItem(key);
+}
@@ -0,0 +1,81 @@
+/******************************************************************
+* view-state.js
+* Responsible for turning the dashboard view (filters and network
+* zoom) into URL parameters and back, for deep links and history.
+******************************************************************/
+
+/**
+* View as URL query string, short parameter names.
+* @param state Object with currentFilters keys, link as {source, target},
+* and `zoom` as {k, x, y} (d3 zoom transform).
+* @returns Query string without '?', '' for the default view.
+**/
+export function encodeViewState(state) {
+    const params = new URLSearchParams();
+    if (state.entity) params.set('entity', state.entity);
+    // one parameter per level, blank regions included
+    for (const name of state.location || []) params.append('location', name);
+    if (state.timeRange) params.set('filed', formatRange(state.timeRange));
+    if (state.eventRange) params.set('events', formatRange(state.eventRange));
+    if (state.citation) params.set('citation', state.citation);
+    if (state.link) {
+        params.append('link', state.link.source);
+        params.append('link', state.link.target);
+    }
+    if (state.search) params.set('q', state.search);
+    if (state.tag) params.set('tag', state.tag);
+    if (state.agency) params.set('agency', state.agency);
+    if (state.source !== null && state.source !== undefined) params.set('source', state.source);
+
+    const { k = 1, x = 0, y = 0 } = state.zoom || {};
+    if (k !== 1 || x !== 0 || y !== 0) {
+        params.set('zoom', [+k.toFixed(3), Math.round(x), Math.round(y)].join(','));
+    }
+    return params.toString();
+}
+
+/**
+* Reads a view back from a query string, anything malformed is left out.
+* @param search Query string, with or without '?'.
+* @returns Object with every currentFilters key (null if not set) and
+* `zoom` {k, x, y} or null.
+**/
+export function decodeViewState(search) {
+    const params = new URLSearchParams(search);
+    const location = params.getAll('location');
+    const link = params.getAll('link');
+    const zoom = (params.get('zoom') || '').split(',').map(Number);
+
+    return {
+        entity: params.get('entity'),
+        location: location.length ? location : null,
+        timeRange: parseRange(params.get('filed')),
+        eventRange: parseRange(params.get('events')),
+        citation: params.get('citation'),
+        link: link.length === 2 ? { source: link[0], target: link[1] } : null,
+        search: params.get('q'),
+        tag: params.get('tag'),
+        agency: params.get('agency'),
+        source: params.get('source'),
+        zoom: zoom.length === 3 && zoom.every(Number.isFinite) && zoom[0] > 0
+            ? { k: zoom[0], x: zoom[1], y: zoom[2] } : null,
+    };
+}
+
+/**
+* Date range as 'start~end' ISO timestamps.
+* @param range Array of two Dates.
+**/
+function formatRange([start, end]) {
+    return `${start.toISOString()}~${end.toISOString()}`;
+}
+
+/**
+* Reads a range from formatRange.
+* @param text Parameter value or null.
+* @returns Array of two Dates, null if missing or invalid.
+**/
+function parseRange(text) {
+    const dates = (text || '').split('~').map(d => new Date(d));
+    return dates.length === 2 && dates.every(d => !isNaN(d)) ? dates : null;
+}
@@ -0,0 +1,233 @@
+/******************************************************************
+* worker-client.js
+* Responsible for handing dataset processing, rebuilds and the
+* network layout to the data worker, or running them in the page
+* when a worker can't start (old browser, blocked CDN).
+******************************************************************/
+import { TASKS } from './worker-tasks.js';
+import { createNetworkSimulation } from './network-layout.js';
+import { nodeId } from './network-analytics.js';
+
+let worker = null; // set once the worker said it's ready
+let workerReady = null; // promise of true (worker) or false (in page)
+let nextRequest = 0;
+let nextLayout = 0;
+const requests = new Map(); // request id -> {resolve, reject}
+let activeLayout = null; // layout whose ticks get drawn
+
+/**
+* Starts the worker once.
+* @returns Promise of true if work goes to the worker.
+**/
+function startWorker() {
+    if (workerReady) return workerReady;
+    workerReady = new Promise(resolve => {
+        if (typeof Worker === 'undefined') {
+            resolve(false);
+            return;
+        }
+        const starting = new Worker(new URL('./data-worker.js', import.meta.url), { type: 'module' });
+        starting.addEventListener('message', ({ data }) => {
+            if (data.type === 'ready') {
+                worker = starting;
+                resolve(true);
+            } else {
+                onWorkerMessage(data);
+            }
+        });
+        // module failed to load, nothing was sent yet
+        starting.addEventListener('error', (event) => {
+            if (worker) {
+                stopWorker(event.message);
+                return;
+            }
+            console.warn("Data worker failed to start, working in page:", event.message);
+            starting.terminate();
+            resolve(false);
+        });
+    });
+    return workerReady;
+}
+
+/**
+* Drops a worker that crashed after starting, nothing it was asked
+* will be answered. pending requests are rejected and from here on
+* everything runs in the page.
+* @param message Error message from the worker.
+**/
+function stopWorker(message) {
+    console.warn("Data worker stopped, working in page:", message);
+    worker.terminate();
+    worker = null;
+    workerReady = Promise.resolve(false);
+    activeLayout = null;
+    for (const { reject } of requests.values()) {
+        reject(new Error(`Data worker stopped: ${message}`));
+    }
+    requests.clear();
+}
+
+/**
+* Routes results and layout ticks from the worker.
+* @param message Message data.
+**/
+function onWorkerMessage(message) {
+    if (message.type === 'tick') {
+        if (activeLayout?.id === message.layout) activeLayout.tick(message.positions);
+        return;
+    }
+    const pending = requests.get(message.request);
+    if (!pending) return;
+    requests.delete(message.request);
+    if (message.error) pending.reject(new Error(message.error));
+    else pending.resolve(message.result);
+}
+
+/**
+* Runs a task from worker-tasks.js in the worker, in the page if
+* there is none or it crashed on the way.
+* @param task Key in TASKS.
+* @param args Arguments for the task.
+* @returns Promise of the task's result.
+**/
+async function runTask(task, ...args) {
+    if (await startWorker()) {
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = nextRequest++;
+                requests.set(request, { resolve, reject });
+                worker.postMessage({ type: 'task', request, task, args });
+            });
+        } catch (error) {
+            // worker still up means the data itself failed, else redo it in page
+            if (worker) throw error;
+        }
+    }
+    return TASKS[task](...args);
+}
+
+/**
+* Reads, merges and processes a dataset off the main thread.
+* @param sources Array of dataset sources.
+* @param aliasMap Alias map to resolve persons with.
+* @param decisions Object from loadMentionDecisions.
+* @param view Object {network, binning} to build (see processReports).
+* @returns Promise of object {data, diagnostics} (see processSources).
+**/
+export function processDataset(sources, aliasMap, decisions, view) {
+    return runTask('process', sources, aliasMap, decisions, view);
+}
+
+/**
+* Builds the network of a view off the main thread.
+* @param reports Array of processed reports.
+* @param allEntities Object from getAllEntities.
+* @param view Network view options (see generateNetworkData).
+* @returns Promise of object {nodes, links}.
+**/
+export function buildNetwork(reports, allEntities, view) {
+    return runTask('network', reports, allEntities, view);
+}
+
+/**
+* Bins both timelines off the main thread.
+* @param reports Array of processed reports.
+* @param binning 'day', 'week' or 'month'.
+* @returns Promise of object {timelineData, eventTimelineData}.
+**/
+export function buildTimelines(reports, binning) {
+    return runTask('timeline', reports, binning);
+}
+
+/**
+* Re-derives entities, mentions and network off the main thread.
+* @param reports Array of processed reports.
+* @param aliasMap Alias map to resolve persons with.
+* @param dismissed Object of report id -> dismissed mention keys.
+* @param networkView Network view options.
+* @returns Promise of object {allReports, allEntities, network}.
+**/
+export function rebuildEntities(reports, aliasMap, dismissed, networkView) {
+    return runTask('entities', reports, aliasMap, dismissed, networkView);
+}
+
+/**
+* Finds alias merge suggestions off the main thread.
+* @param reports Array of processed reports.
+* @param aliasMap Current alias map.
+* @param rejected Set of rejected pair keys.
+* @returns Promise of array of suggestions (see suggestAliases).
+**/
+export function findAliasSuggestions(reports, aliasMap, rejected) {
+    return runTask('aliasSuggestions', reports, aliasMap, rejected);
+}
+
+/**
+* Starts the network force layout, replacing the last one.
+* in the worker the node objects get positions from tick messages,
+* in the page it's a plain d3 simulation.
+* @param nodes Node objects, get x/y.
+* @param links Links, source/target become node objects like d3 does.
+* @param width Drawing width.
+* @param height Drawing height.
+* @param anchored True to hold nodes near homeX/homeY.
+* @returns Simulation-like object: nodes, on('tick'), alpha,
+* alphaTarget, restart, stop, plus fix(node) to send fx/fy after
+* changing them.
+**/
+export function startNetworkLayout(nodes, links, width, height, anchored = false) {
+    nodes.forEach((n, i) => { n.index = i; });
+
+    if (!worker) {
+        const simulation = createNetworkSimulation(d3, nodes, links, width, height, anchored);
+        simulation.fix = () => simulation; // node objects are shared
+        activeLayout = null;
+        return simulation;
+    }
+
+    const byId = new Map(nodes.map(n => [n.id, n]));
+    links.forEach(l => {
+        l.source = byId.get(nodeId(l.source));
+        l.target = byId.get(nodeId(l.target));
+    });
+
+    const id = nextLayout++;
+    let onTick = () => {};
+    const send = (message) => {
+        // worker gone, the graph stays where it was until the next layout
+        worker?.postMessage({ ...message, layout: id });
+        return layout;
+    };
+    const layout = {
+        id,
+        nodes: () => nodes,
+        on(type, listener) {
+            if (type === 'tick') onTick = listener;
+            return layout;
+        },
+        alpha: value => send({ type: 'alpha', value }),
+        alphaTarget: value => send({ type: 'alphaTarget', value }),
+        restart: () => send({ type: 'restart' }),
+        stop: () => send({ type: 'stop' }),
+        fix: node => send({ type: 'fix', index: node.index, fx: node.fx, fy: node.fy }),
+        tick(positions) {
+            nodes.forEach((n, i) => {
+                n.x = positions[i * 2];
+                n.y = positions[i * 2 + 1];
+            });
+            onTick();
+        },
+    };
+    activeLayout = layout;
+
+    worker.postMessage({
+        type: 'layout',
+        layout: id,
+        nodes: nodes.map(({ id, x, y, fx, fy, homeX, homeY }) => ({ id, x, y, fx, fy, homeX, homeY })),
+        links: links.map(l => ({ source: l.source.id, target: l.target.id })),
+        width,
+        height,
+        anchored,
+    });
+    return layout;
+}
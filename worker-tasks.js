@@ -0,0 +1,59 @@
+/******************************************************************
+* worker-tasks.js
+* Responsible for the heavy data work that runs off the page: one
+* plain function per task, so the data worker and the page (when no
+* worker is running) share the same code. see worker-client.js.
+******************************************************************/
+import { processSources } from './dataset-loader.js';
+import {
+    resolveEntities, getAllEntities, generateNetworkData, generateTimelineData, generateEventTimelineData
+} from './data-processor.js';
+import { extractMentions } from './entity-extractor.js';
+import { suggestAliases } from './alias-manager.js';
+
+/**
+* Tasks by name, arguments and results must survive structured clone.
+**/
+export const TASKS = {
+    // sources -> {data, diagnostics}, see processSources
+    process: processSources,
+
+    // network of a view, see generateNetworkData
+    network: generateNetworkData,
+
+    /**
+    * Both timelines in one binning.
+    * @param reports Array of processed reports.
+    * @param binning 'day', 'week' or 'month'.
+    * @returns Object {timelineData, eventTimelineData}.
+    **/
+    timeline(reports, binning) {
+        return {
+            timelineData: generateTimelineData(reports, binning),
+            eventTimelineData: generateEventTimelineData(reports, binning),
+        };
+    },
+
+    /**
+    * Re-derives what hangs off report entities after alias edits or
+    * tagged mentions: resolved persons, dictionary, mentions and network.
+    * @param reports Array of processed reports.
+    * @param aliasMap Alias map to resolve persons with.
+    * @param dismissed Object of report id -> dismissed mention keys.
+    * @param networkView Network view options, see generateNetworkData.
+    * @returns Object {allReports, allEntities, network}.
+    **/
+    entities(reports, aliasMap, dismissed, networkView) {
+        reports = resolveEntities(reports, aliasMap);
+        const allEntities = getAllEntities(reports);
+        reports = extractMentions(reports, allEntities, dismissed);
+        return {
+            allReports: reports,
+            allEntities,
+            network: generateNetworkData(reports, allEntities, { ...networkView, aliasMap }),
+        };
+    },
+
+    // merge suggestions, see suggestAliases
+    aliasSuggestions: suggestAliases,
+};